@@ -0,0 +1,83 @@
+jest.unmock('../speak-the-words-prompt');
+jest.unmock('../body/answer-matcher');
+jest.unmock('../body/answer-pattern');
+
+import fs from 'fs';
+import path from 'path';
+import Prompt from '../speak-the-words-prompt';
+import AnswerPattern from '../body/answer-pattern';
+
+// The editor runs presave.js on its own, so it has its own copy of the pattern rules
+const loadPresave = () => {
+  const source = fs.readFileSync(path.join(__dirname, '../../../presave.js'), 'utf8');
+  const H5PEditor = {
+    Presave: {
+      exceptions: {
+        InvalidContentSemanticsException: function (message) {
+          this.message = message;
+        }
+      },
+      checkNestedRequirements: () => true,
+      validateScore: () => {}
+    }
+  };
+  return new Function('H5PEditor', source + '\nreturn H5PPresave[\'H5P.SpeakTheWords\'];')(H5PEditor);
+};
+
+describe('Presave', () => {
+  const presave = loadPresave();
+  const getMaxScore = content => {
+    let maxScore;
+    presave(content, result => {
+      maxScore = result.maxScore;
+    });
+    return maxScore;
+  };
+
+  const patterns = [
+    'Hola',
+    'Buenos días, señor',
+    '¿Qué tal?',
+    'Yo soy (muy) feliz',
+    '[I am|I\'m] happy',
+    '[a b c|d] e (f g)',
+    'my name is *',
+    'I am # years old',
+    'Tengo 20 años',
+    'It’s “fine” … really!',
+    'Hola (amigo',
+    '()',
+    '[a|]',
+    'a|b',
+    '(a) (b)',
+    'a (b [c])',
+    'a ] b'
+  ];
+
+  it('should find the same mistakes in patterns as the content type', () => {
+    patterns.forEach(pattern => {
+      let valid = true;
+      try {
+        getMaxScore({acceptedAnswers: [pattern]});
+      }
+      catch (error) {
+        valid = false;
+      }
+      expect({pattern: pattern, valid: valid}).toEqual({pattern: pattern, valid: AnswerPattern.validate(pattern) === null});
+    });
+  });
+
+  it('should compute the same maximum score as the content type', () => {
+    const valid = patterns.filter(pattern => AnswerPattern.validate(pattern) === null);
+    ['answer', 'words', 'percentage'].forEach(scoring => {
+      valid.forEach(pattern => {
+        const prompt = new Prompt({acceptedAnswers: [pattern]}, {scoring: scoring});
+        expect({pattern: pattern, scoring: scoring, maxScore: getMaxScore({acceptedAnswers: [pattern], behaviour: {scoring: scoring}})})
+          .toEqual({pattern: pattern, scoring: scoring, maxScore: prompt.maxScore});
+      });
+
+      const prompt = new Prompt({acceptedAnswers: valid}, {scoring: scoring});
+      expect(getMaxScore({acceptedAnswers: valid, behaviour: {scoring: scoring}})).toBe(prompt.maxScore);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+jest.unmock('../speak-the-words-prompt');
+
+import Prompt from '../speak-the-words-prompt';
+
+describe('Prompt', () => {
+  const behaviour = {matchTolerance: 'normalized', scoring: 'answer'};
+
+  it('should be unanswered initially', () => {
+    const prompt = new Prompt({question: 'Yes', acceptedAnswers: ['Sí']}, behaviour);
+    expect(prompt.getResult()).toBe('unanswered');
+    expect(prompt.score).toBe(0);
+  });
+
+  it('should give full score when any alternative matches', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, behaviour);
+    expect(prompt.answer(['see', 'si'])).toBe('si');
+    expect(prompt.getResult()).toBe('correct');
+    expect(prompt.score).toBe(1);
+  });
+
+  it('should score the share of correct words', () => {
+    const prompt = new Prompt({
+      acceptedAnswers: ['one two three four']
+    }, {matchTolerance: 'normalized', scoring: 'percentage'});
+
+    prompt.answer(['one two tree four']);
+    expect(prompt.getResult()).toBe('partial');
+    expect(prompt.score).toBe(75);
+  });
+
+  it('should score words of an example of a pattern', () => {
+    const prompt = new Prompt({
+      acceptedAnswers: ['[Soy|Yo soy] (muy) feliz']
+    }, {matchTolerance: 'normalized', scoring: 'words'});
+
+    expect(prompt.examples).toEqual(['Soy muy feliz']);
+    expect(prompt.maxScore).toBe(3);
+    prompt.answer(['yo soy feliz']);
+    expect(prompt.getResult()).toBe('correct');
+  });
+
+  it('should keep attempts when reset', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, behaviour);
+    prompt.attempts = 1;
+    prompt.answer(['no']);
+    prompt.reset();
+    expect(prompt.answered).toBe(false);
+    expect(prompt.attempts).toBe(1);
+  });
+
+  it('should reveal a hint for each failed attempt', () => {
+    const prompt = new Prompt({
+      acceptedAnswers: ['Buenos días'],
+      hints: ['Starts with "b"', 'BWAY-nos DEE-as']
+    }, behaviour);
+    expect(prompt.getHints()).toEqual([]);
+
+    prompt.attempts++;
+    prompt.answer(['buenas noches']);
+    expect(prompt.getHints()).toEqual(['Starts with "b"']);
+
+    prompt.reset();
+    prompt.attempts++;
+    prompt.answer(['buenas tardes']);
+    prompt.reset();
+    prompt.attempts++;
+    prompt.answer(['buenos dias']);
+    expect(prompt.getHints()).toEqual(['Starts with "b"', 'BWAY-nos DEE-as']);
+  });
+
+  it('should limit attempts and unlock the solution', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, {
+      matchTolerance: 'normalized',
+      scoring: 'answer',
+      maxAttempts: 3,
+      solutionAfterAttempts: 2
+    });
+
+    prompt.attempts++;
+    prompt.answer(['no']);
+    expect(prompt.canRetry()).toBe(true);
+    expect(prompt.getAttemptsLeft()).toBe(2);
+    expect(prompt.isSolutionUnlocked()).toBe(false);
+
+    prompt.attempts++;
+    prompt.answer(['no']);
+    expect(prompt.isSolutionUnlocked()).toBe(true);
+
+    prompt.attempts++;
+    prompt.answer(['no']);
+    expect(prompt.canRetry()).toBe(false);
+  });
+
+  it('should allow unlimited attempts by default', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, behaviour);
+    prompt.attempts = 10;
+    expect(prompt.canRetry()).toBe(true);
+    expect(prompt.getAttemptsLeft()).toBe(Infinity);
+  });
+
+  it('should be finished once answered correctly, out of attempts or solved', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, Object.assign({}, behaviour, {maxAttempts: 2}));
+    expect(prompt.isFinished()).toBe(false);
+
+    prompt.attempts++;
+    prompt.answer(['no']);
+    expect(prompt.isFinished()).toBe(false);
+
+    prompt.showingSolution = true;
+    expect(prompt.isFinished()).toBe(true);
+
+    prompt.reset();
+    prompt.attempts++;
+    prompt.answer(['no']);
+    expect(prompt.isFinished()).toBe(true);
+
+    prompt.reset();
+    prompt.answer(['sí']);
+    expect(prompt.isFinished()).toBe(true);
+  });
+
+  it('should remember the wrong answer given and its feedback', () => {
+    const prompt = new Prompt({
+      acceptedAnswers: ['Estoy avergonzado'],
+      wrongAnswers: [
+        {answer: 'Estoy embarazado', feedback: '&quot;Embarazado&quot; means pregnant.'},
+        {answer: 'Estoy avergonzada'},
+        {feedback: 'No answer'}
+      ]
+    }, Object.assign({}, behaviour, {scoring: 'words'}));
+
+    prompt.answer(['es toy', 'estoy embarazado']);
+    expect(prompt.correct).toBe(false);
+    expect(prompt.response).toBe('estoy embarazado');
+    expect(prompt.score).toBe(1);
+    expect(prompt.getWrongAnswerFeedback()).toBe('&quot;Embarazado&quot; means pregnant.');
+
+    prompt.answer(['estoy avergonzada']);
+    expect(prompt.wrongAnswer).toEqual({answer: 'Estoy avergonzada', feedback: ''});
+    expect(prompt.getWrongAnswerFeedback()).toBeNull();
+
+    prompt.reset();
+    expect(prompt.wrongAnswer).toBeNull();
+  });
+
+  it('should find the recording of an accepted answer', () => {
+    const audio = [{path: 'audios/si.mp3', mime: 'audio/mpeg'}];
+    const prompt = new Prompt({
+      acceptedAnswers: ['Sí', 'Claro'],
+      answerAudio: [{answer: 'si', audio: audio}, {answer: 'Claro'}]
+    }, behaviour);
+
+    expect(prompt.getAnswerAudio('Sí')).toBe(audio);
+    expect(prompt.getAnswerAudio('Claro')).toBeNull();
+  });
+
+  it('should release the recording when reset', () => {
+    URL.revokeObjectURL = jest.fn();
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, behaviour);
+    prompt.answer(['no']);
+    prompt.setRecording('blob:first');
+    prompt.setRecording('blob:second');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:first');
+
+    prompt.reset();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:second');
+    expect(prompt.recording).toBeNull();
+  });
+
+  it('should restore a saved state', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, behaviour);
+    prompt.restoreState({
+      userAnswers: ['no', 'know'],
+      score: 0,
+      answered: true,
+      showingSolution: true,
+      attempts: 3
+    });
+
+    expect(prompt.getResult()).toBe('incorrect');
+    expect(prompt.response).toBe('no');
+    expect(prompt.showingSolution).toBe(true);
+    expect(prompt.attempts).toBe(3);
+  });
+
+  it('should give no credit for an answer heard with too little confidence', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, {minConfidence: 60});
+    prompt.answer(['si']);
+    prompt.setConfidence(0.4);
+
+    expect(prompt.unclear).toBe(true);
+    expect(prompt.getResult()).toBe('incorrect');
+    expect(prompt.getCurrentState().confidence).toBe(0.4);
+
+    prompt.reset();
+    prompt.answer(['si']);
+    prompt.setConfidence(0.8);
+    expect(prompt.unclear).toBe(false);
+    expect(prompt.getResult()).toBe('correct');
+  });
+
+  it('should restore an answer heard with too little confidence', () => {
+    const prompt = new Prompt({acceptedAnswers: ['Sí']}, {minConfidence: 60});
+    prompt.restoreState({
+      userAnswers: ['si'],
+      score: 0,
+      answered: true,
+      attempts: 1,
+      confidence: 0.4
+    });
+
+    expect(prompt.unclear).toBe(true);
+    expect(prompt.correct).toBe(false);
+  });
+
+  describe('read aloud', () => {
+    const passage = 'The cat (a big one) sat on the mat.';
+
+    it('should only accept the passage, taken literally', () => {
+      const prompt = new Prompt({passage: passage}, {matchTolerance: 'normalized', scoring: 'words'});
+      expect(prompt.isReading()).toBe(true);
+      expect(prompt.acceptedAnswers).toEqual(['The cat a big one sat on the mat.']);
+      expect(prompt.maxScore).toBe(9);
+
+      prompt.answer(['the cat a big one sat on the mat']);
+      expect(prompt.getResult()).toBe('correct');
+      expect(prompt.score).toBe(9);
+    });
+
+    it('should score the words read correctly', () => {
+      const prompt = new Prompt({passage: passage}, {matchTolerance: 'normalized', scoring: 'percentage'});
+      prompt.answer(['the cat a big one sit on']);
+
+      expect(prompt.readingResult.total).toBe(9);
+      expect(prompt.readingResult.read).toBe(6);
+      expect(prompt.readingResult.misread).toBe(1);
+      expect(prompt.readingResult.skippedWords).toEqual(['the', 'mat.']);
+      expect(prompt.readingResult.accuracy).toBe(67);
+      expect(prompt.score).toBe(66);
+    });
+
+    it('should tell the words read correctly per minute', () => {
+      const prompt = new Prompt({passage: passage}, behaviour);
+      prompt.answer(['the cat a big one sat']);
+      expect(prompt.getWordsPerMinute()).toBeNull();
+
+      prompt.recognition = {alternatives: [], duration: 4, recordingId: null};
+      expect(prompt.getWordsPerMinute()).toBe(90);
+    });
+  });
+});
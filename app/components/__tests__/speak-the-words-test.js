@@ -9,4 +9,504 @@ describe('Speak The Words', () => {
   it('should initialize', () => {
     expect(instance).toBeDefined();
   });
+
+  it('should have a maximum score of 1 by default', () => {
+    expect(instance.getMaxScore()).toBe(1);
+  });
+
+  it('should use the longest accepted answer as maximum score when scoring words', () => {
+    const wordsInstance = new SpeakTheWords({
+      acceptedAnswers: ['one two three', 'four'],
+      behaviour: {scoring: 'words'}
+    }, questionMock);
+    expect(wordsInstance.getMaxScore()).toBe(3);
+  });
+
+  it('should add up the scores of all prompts in a drill', () => {
+    const drillInstance = new SpeakTheWords({
+      acceptedAnswers: ['one'],
+      prompts: [
+        {question: 'Two', acceptedAnswers: ['two']},
+        {question: 'Empty'},
+        {question: 'Three', acceptedAnswers: ['three']}
+      ]
+    }, questionMock);
+
+    expect(drillInstance.isDrill()).toBe(true);
+    expect(drillInstance.getMaxScore()).toBe(3);
+
+    drillInstance.prompts[0].answer(['one']);
+    drillInstance.prompts[2].answer(['three']);
+    expect(drillInstance.getScore()).toBe(2);
+  });
+
+  it('should handle an answer before the microphone can be recorded', () => {
+    const answeredInstance = new SpeakTheWords({acceptedAnswers: ['yes']}, questionMock);
+    answeredInstance.showResult = jest.fn();
+    answeredInstance.renderComponents = jest.fn();
+    answeredInstance.triggerXAPIAnswered = jest.fn();
+
+    expect(answeredInstance.mediaRecorder).toBeNull();
+    answeredInstance.handleAnswered({data: ['yes']});
+    expect(answeredInstance.getScore()).toBe(1);
+  });
+
+  it('should keep a recording that stopped before the answer was reported', () => {
+    const answeredInstance = new SpeakTheWords({acceptedAnswers: ['yes']}, questionMock);
+    answeredInstance.showResult = jest.fn();
+    answeredInstance.renderComponents = jest.fn();
+    answeredInstance.triggerXAPIAnswered = jest.fn();
+    answeredInstance.questionWrapper = {parentNode: {classList: {remove: jest.fn()}}};
+    URL.createObjectURL = jest.fn(() => 'blob:recording');
+
+    const prompt = answeredInstance.getCurrentPrompt();
+    answeredInstance.recordingPrompt = prompt;
+    answeredInstance.setRecording(new Blob(), prompt);
+    expect(prompt.recording).toBeNull();
+
+    answeredInstance.handleAnswered({data: ['yes']});
+    expect(prompt.recording).toBe('blob:recording');
+    expect(answeredInstance.pendingRecording).toBeNull();
+  });
+
+  it('should show what the user typed as text in the feedback', () => {
+    const question = {hideButton: jest.fn(), showButton: jest.fn(), setFeedback: jest.fn()};
+    const typedInstance = new SpeakTheWords({
+      acceptedAnswers: ['yes'],
+      incorrectAnswerText: '&lt;Incorrect&gt;',
+      l10n: {heardAnswerText: '<em>Heard:</em> @answer'}
+    }, question);
+    typedInstance.questionWrapper = {parentNode: {classList: {add: jest.fn()}}};
+
+    const prompt = typedInstance.getCurrentPrompt();
+    prompt.answer(['<img src=x onerror=alert(1)> $&']);
+    typedInstance.showResult(prompt);
+    expect(question.setFeedback.mock.calls[0][0])
+      .toBe('<Incorrect> <em>Heard:</em> &lt;img src=x onerror=alert(1)&gt; $&amp;');
+  });
+
+  it('should show the formatting of the task description but nothing else', () => {
+    instance.createIntroduction('<p>Say <strong>yes</strong><img src="x" onerror="alert(1)"></p>');
+    expect(instance.introductionText.innerHTML).toBe('<p>Say <strong>yes</strong></p>');
+  });
+
+  it('should describe the task in xAPI with its title and language', () => {
+    window.H5P = {createTitle: title => title};
+    const titledInstance = new SpeakTheWords({
+      question: '<p>Say <strong>&quot;hola&quot;</strong></p>',
+      acceptedAnswers: ['hola']
+    }, questionMock, undefined, {title: 'Greetings', defaultLanguage: 'es'});
+
+    expect(titledInstance.getxAPIDefinition()).toEqual({
+      name: {'es': 'Greetings'},
+      description: {'es': 'Say "hola"'},
+      type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+      interactionType: 'fill-in',
+      correctResponsesPattern: ['hola']
+    });
+    delete window.H5P;
+  });
+
+  it('should report the number of attempts in xAPI', () => {
+    const xAPIEvent = {data: {statement: {result: {}}}};
+    instance.addXAPIAttempts(xAPIEvent, 3);
+    expect(xAPIEvent.data.statement.result.extensions).toEqual({
+      'https://h5p.org/x-api/speak-the-words/attempts': 3
+    });
+  });
+
+  it('should report what was heard for a spoken answer in xAPI', () => {
+    const spokenInstance = new SpeakTheWords({
+      acceptedAnswers: ['hola'],
+      inputLanguage: 'es-ES'
+    }, questionMock);
+    const prompt = spokenInstance.getCurrentPrompt();
+    prompt.answer(['ola']);
+    prompt.recognition = {
+      alternatives: [{transcript: 'ola', confidence: 0.8}, {transcript: 'hora', confidence: 0.1}],
+      duration: 1.234,
+      recordingId: 'recording-1'
+    };
+
+    const xAPIEvent = {data: {statement: {result: {}}}};
+    spokenInstance.addXAPIAnswerDetails(xAPIEvent, prompt);
+    expect(xAPIEvent.data.statement.result.extensions).toEqual({
+      'https://h5p.org/x-api/speak-the-words/input-mode': 'spoken',
+      'https://h5p.org/x-api/speak-the-words/input-language': 'es-ES',
+      'https://h5p.org/x-api/speak-the-words/alternatives': prompt.recognition.alternatives,
+      'https://h5p.org/x-api/speak-the-words/duration': 'PT1.23S',
+      'https://h5p.org/x-api/speak-the-words/recording': 'recording-1'
+    });
+  });
+
+  it('should not save state before the task is used', () => {
+    expect(instance.getCurrentState()).toBeUndefined();
+  });
+
+  it('should save the current prompt and the state of each prompt', () => {
+    const answeredInstance = new SpeakTheWords({
+      acceptedAnswers: ['yes'],
+      prompts: [{question: 'No', acceptedAnswers: ['no']}]
+    }, questionMock);
+    answeredInstance.prompts[0].attempts = 2;
+    answeredInstance.prompts[0].answer(['yes', 'jess']);
+
+    expect(answeredInstance.getCurrentState()).toEqual({
+      currentPrompt: 0,
+      prompts: [
+        {
+          userAnswers: ['yes', 'jess'],
+          score: 1,
+          answered: true,
+          showingSolution: false,
+          attempts: 2,
+          typed: false,
+          confidence: null
+        },
+        {
+          userAnswers: [],
+          score: 0,
+          answered: false,
+          showingSolution: false,
+          attempts: 0,
+          typed: false,
+          confidence: null
+        }
+      ]
+    });
+  });
+
+  it('should read a passage aloud as a single prompt', () => {
+    const readingInstance = new SpeakTheWords({
+      mode: 'readAloud',
+      passage: 'One two three four',
+      acceptedAnswers: ['one'],
+      prompts: [{question: 'Two', acceptedAnswers: ['two']}],
+      l10n: {
+        readingAccuracyText: '@read of @total (@accuracy%).',
+        wordsPerMinuteText: '@wpm wpm.',
+        skippedWordsText: '@count skipped.'
+      }
+    }, questionMock);
+
+    const prompt = readingInstance.getCurrentPrompt();
+    expect(readingInstance.isDrill()).toBe(false);
+    expect(prompt.isReading()).toBe(true);
+
+    prompt.answer(['one two']);
+    prompt.recognition = {alternatives: [], duration: 6, recordingId: null};
+    expect(readingInstance.getReadingText(prompt)).toBe('2 of 4 (50%). 20 wpm. 2 skipped.');
+  });
+
+  it('should ignore a passage when answering a question', () => {
+    const answerInstance = new SpeakTheWords({passage: 'One two', acceptedAnswers: ['one']}, questionMock);
+    expect(answerInstance.getCurrentPrompt().isReading()).toBe(false);
+  });
+
+  describe('dialogue', () => {
+    const turns = [
+      {line: 'Hola', acceptedAnswers: ['hola']},
+      {line: 'Pause'},
+      {line: '¿Qué tal?', acceptedAnswers: ['(muy) bien']}
+    ];
+
+    const createDialogue = (behaviour) => {
+      const question = {showButton: jest.fn(), hideButton: jest.fn()};
+      const dialogueInstance = new SpeakTheWords({
+        mode: 'dialogue',
+        acceptedAnswers: ['yes'],
+        turns: turns,
+        behaviour: behaviour
+      }, question);
+      dialogueInstance.showResult = jest.fn();
+      dialogueInstance.renderComponents = jest.fn();
+      dialogueInstance.triggerXAPIAnswered = jest.fn();
+      dialogueInstance.triggerXAPIProgressed = jest.fn();
+      dialogueInstance.goToPrompt = jest.fn();
+      return dialogueInstance;
+    };
+
+    it('should make a prompt of each turn with replies', () => {
+      const dialogueInstance = createDialogue({scoring: 'words'});
+      expect(dialogueInstance.prompts.map(prompt => prompt.question)).toEqual(['Hola', '¿Qué tal?']);
+      expect(dialogueInstance.isDrill()).toBe(true);
+      expect(dialogueInstance.getMaxScore()).toBe(3);
+    });
+
+    it('should be reported like a drill even with a single turn', () => {
+      const dialogueInstance = new SpeakTheWords({mode: 'dialogue', turns: [turns[0]]}, questionMock);
+      expect(dialogueInstance.prompts.length).toBe(1);
+      expect(dialogueInstance.isDrill()).toBe(true);
+    });
+
+    it('should go on to the next turn once the reply is accepted', () => {
+      const dialogueInstance = createDialogue({});
+
+      dialogueInstance.handleAnswered({data: ['hola']});
+      expect(dialogueInstance.autoPlayTurn).toBe(1);
+      expect(dialogueInstance.goToPrompt).toHaveBeenCalledWith(1);
+      expect(dialogueInstance.triggerXAPIProgressed).toHaveBeenCalled();
+    });
+
+    it('should keep the recording of a reply after going on to the next turn', () => {
+      const dialogueInstance = createDialogue({});
+      const listeners = {};
+      dialogueInstance.speechEventStore = {
+        on: (type, listener) => {
+          listeners[type] = (listeners[type] || []).concat(listener);
+        },
+        trigger: type => (listeners[type] || []).forEach(listener => listener({}))
+      };
+      dialogueInstance.goToPrompt = index => {
+        dialogueInstance.stopListening();
+        dialogueInstance.currentPrompt = index;
+      };
+      dialogueInstance.typing = false;
+      dialogueInstance.speechEngine = {getAlternatives: () => ['hola'], getConfidence: () => 1};
+      dialogueInstance.triggerFileExport = jest.fn();
+      window.H5P = {createUUID: () => 'turn-1'};
+      URL.createObjectURL = jest.fn(() => 'blob:turn-1');
+
+      // The recorder only delivers the recording once it has stopped
+      const recorder = {
+        state: 'inactive',
+        start: () => {
+          recorder.state = 'recording';
+        },
+        stop: () => {
+          recorder.state = 'inactive';
+        }
+      };
+      window.MediaRecorder = function () {
+        return recorder;
+      };
+      dialogueInstance.initRecorder({});
+
+      const turn = dialogueInstance.prompts[0];
+      dialogueInstance.speechEventStore.trigger('start-listening');
+      dialogueInstance.handleAnswered({data: ['hola']});
+      expect(dialogueInstance.currentPrompt).toBe(1);
+      expect(turn.recognition.recordingId).toBe('turn-1');
+
+      recorder.onstop();
+      expect(turn.recording).toBe('blob:turn-1');
+      expect(dialogueInstance.triggerFileExport).toHaveBeenCalledWith(expect.objectContaining({id: 'turn-1'}), turn);
+      delete window.MediaRecorder;
+    });
+
+    it('should only let the user move on when there are no attempts left', () => {
+      const dialogueInstance = createDialogue({maxAttempts: 1});
+
+      dialogueInstance.handleAnswered({data: ['adiós']});
+      expect(dialogueInstance.goToPrompt).not.toHaveBeenCalled();
+      expect(dialogueInstance.question.showButton).toHaveBeenCalledWith('next-prompt');
+    });
+  });
+
+  describe('media', () => {
+    const audio = {library: 'H5P.Audio 1.4', params: {files: [{path: 'prompt.mp3', mime: 'audio/mpeg'}]}};
+
+    it('should show the image of the task with its alternative text', () => {
+      const instance = new SpeakTheWords({
+        media: {
+          type: {library: 'H5P.Image 1.1', params: {file: {path: 'image.png'}, alt: 'A cat'}},
+          disableImageZooming: true
+        }
+      }, questionMock);
+      instance.question = {setImage: jest.fn()};
+
+      instance.setMedia();
+      expect(instance.question.setImage).toHaveBeenCalledWith('image.png', {
+        disableImageZooming: true,
+        alt: 'A cat',
+        title: undefined
+      });
+    });
+
+    it('should only wait for the audio of the task when required', () => {
+      expect(new SpeakTheWords({media: {type: audio}}, questionMock).waitingForPromptAudio).toBe(false);
+
+      const instance = new SpeakTheWords({
+        media: {type: audio},
+        behaviour: {requirePromptAudio: true}
+      }, questionMock);
+      expect(instance.waitingForPromptAudio).toBe(true);
+    });
+
+    it('should let the user answer once the audio of the task has ended', () => {
+      const instance = new SpeakTheWords({
+        media: {type: audio},
+        behaviour: {requirePromptAudio: true}
+      }, questionMock);
+      instance.question = {setAudio: jest.fn()};
+      instance.renderComponents = jest.fn();
+
+      const task = document.createElement('div');
+      task.innerHTML = '<div class="h5p-question-audio"><audio></audio></div>' +
+        '<div class="h5p-question-content"><div></div></div>';
+      instance.questionWrapper = task.querySelector('.h5p-question-content > div');
+      document.body.appendChild(task);
+
+      instance.setMedia();
+      expect(instance.question.setAudio).toHaveBeenCalledWith(audio);
+
+      instance.handleMediaEnded({target: document.createElement('audio')});
+      expect(instance.waitingForPromptAudio).toBe(true);
+
+      instance.handleMediaEnded({target: task.querySelector('audio')});
+      expect(instance.waitingForPromptAudio).toBe(false);
+      expect(instance.renderComponents).toHaveBeenCalled();
+      document.body.removeChild(task);
+    });
+
+    it('should only listen for the end of the audio while waiting for it', () => {
+      const instance = new SpeakTheWords({
+        media: {type: audio},
+        behaviour: {requirePromptAudio: true}
+      }, questionMock);
+      instance.question = {setAudio: jest.fn(), trigger: jest.fn()};
+      instance.goToPrompt = jest.fn();
+      jest.spyOn(document, 'addEventListener');
+      jest.spyOn(document, 'removeEventListener');
+
+      instance.setMedia();
+      expect(document.addEventListener).toHaveBeenCalledWith('ended', instance.handleMediaEnded, true);
+
+      // Nothing is left listening once the task is no longer on the page
+      instance.questionWrapper = document.createElement('div');
+      instance.handleMediaEnded({target: document.createElement('audio')});
+      expect(document.removeEventListener).toHaveBeenCalledWith('ended', instance.handleMediaEnded, true);
+
+      // Starting over means listening again
+      instance.resetTask();
+      expect(instance.waitingForPromptAudio).toBe(true);
+      expect(document.addEventListener).toHaveBeenCalledTimes(2);
+
+      document.addEventListener.mockRestore();
+      document.removeEventListener.mockRestore();
+    });
+
+    it('should not wait for audio without a file', () => {
+      const instance = new SpeakTheWords({
+        media: {type: {library: 'H5P.Audio 1.4', params: {}}},
+        behaviour: {requirePromptAudio: true}
+      }, questionMock);
+      expect(instance.waitingForPromptAudio).toBe(false);
+    });
+  });
+
+  describe('recordings', () => {
+    it('should describe an exported recording by the prompt it was made for', () => {
+      const drillInstance = new SpeakTheWords({
+        acceptedAnswers: ['one'],
+        prompts: [{question: 'Two', acceptedAnswers: ['two']}]
+      }, questionMock);
+      drillInstance.question = {contentId: 1};
+      drillInstance.speechEventStore = {trigger: jest.fn()};
+      drillInstance.currentPrompt = 1;
+
+      drillInstance.triggerFileExport({id: 'recording', user: {}}, drillInstance.prompts[0]);
+      const data = drillInstance.speechEventStore.trigger.mock.calls[0][1];
+      expect(data.description).toContain('one');
+      expect(data.description).not.toContain('two');
+    });
+
+    it('should release the audio context when the analyser is stopped', () => {
+      const audioContext = {close: jest.fn()};
+      instance.audioContext = audioContext;
+      instance.analyser = {};
+
+      instance.stopAnalyser();
+      expect(audioContext.close).toHaveBeenCalled();
+      expect(instance.getAnalyser()).toBeNull();
+    });
+  });
+
+  describe('xAPI statements', () => {
+    let question;
+
+    beforeEach(() => {
+      question = {contentId: 1, trigger: jest.fn()};
+      window.H5P = {
+        createTitle: title => title,
+        XAPIEvent: function () {
+          this.data = {statement: {object: {definition: {}}}};
+          this.setActor = jest.fn();
+          this.setVerb = verb => {
+            this.data.statement.verb = verb;
+          };
+          this.setObject = instance => {
+            this.data.statement.object.id = instance.subContentId || instance.contentId;
+          };
+          this.setContext = jest.fn();
+          this.setScoredResult = (score, maxScore) => {
+            this.data.statement.result = {score: {raw: score, max: maxScore}};
+          };
+          this.getVerifiedStatementValue = () => this.data.statement.object.definition;
+        }
+      };
+    });
+
+    afterEach(() => {
+      delete window.H5P;
+    });
+
+    const getVerbs = () => question.trigger.mock.calls
+      .filter(call => call[0] instanceof H5P.XAPIEvent)
+      .map(call => call[0].data.statement.verb);
+
+    it('should report the first attempt once until the task is reset', () => {
+      const instance = new SpeakTheWords({acceptedAnswers: ['yes']}, question);
+      instance.goToPrompt = jest.fn();
+
+      instance.triggerXAPIAttempted();
+      instance.triggerXAPIAttempted();
+      expect(getVerbs()).toEqual(['attempted']);
+
+      instance.resetTask();
+      instance.triggerXAPIAttempted();
+      expect(getVerbs()).toEqual(['attempted', 'attempted']);
+    });
+
+    it('should report interacting with the prompt being answered in a drill', () => {
+      const instance = new SpeakTheWords({
+        acceptedAnswers: ['yes'],
+        prompts: [{question: 'No', acceptedAnswers: ['no']}]
+      }, question);
+      instance.currentPrompt = 1;
+
+      instance.triggerXAPIInteracted();
+      const statement = question.trigger.mock.calls[0][0].data.statement;
+      expect(statement.verb).toEqual('interacted');
+      expect(statement.object.id).toEqual('prompt-2');
+    });
+
+    it('should report progress through a drill', () => {
+      const instance = new SpeakTheWords({
+        acceptedAnswers: ['yes'],
+        prompts: [{question: 'No', acceptedAnswers: ['no']}]
+      }, question);
+      instance.prompts[0].answer(['yes']);
+
+      instance.triggerXAPIProgressed();
+      const statement = question.trigger.mock.calls[0][0].data.statement;
+      expect(statement.verb).toEqual('progressed');
+      expect(statement.result.extensions).toEqual({
+        'https://w3id.org/xapi/cmi5/result/extensions/progress': 50
+      });
+    });
+
+    it('should tag the score when the solution is revealed', () => {
+      const instance = new SpeakTheWords({acceptedAnswers: ['yes']}, question);
+      instance.prompts[0].answer(['no']);
+
+      instance.triggerXAPISolutionViewed();
+      const statement = question.trigger.mock.calls[0][0].data.statement;
+      expect(statement.verb.id).toEqual('http://id.tincanapi.com/verb/viewed');
+      expect(statement.result.score).toEqual({raw: 0, max: 1});
+      expect(statement.context.extensions).toEqual({
+        'https://h5p.org/x-api/speak-the-words/solution-viewed': true
+      });
+    });
+  });
 });
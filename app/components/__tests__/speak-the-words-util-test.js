@@ -0,0 +1,55 @@
+jest.unmock('../speak-the-words-util');
+
+import Util from '../speak-the-words-util';
+
+describe('Util', () => {
+  // Waveform swinging between the given amplitude and its inverse
+  const createAnalyser = (amplitude) => ({
+    fftSize: 4,
+    getByteTimeDomainData: (samples) => {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = 128 + (i % 2 ? -amplitude : amplitude);
+      }
+    }
+  });
+
+  it('should measure the input level from the waveform', () => {
+    expect(Util.getInputLevel(createAnalyser(0))).toBe(0);
+    expect(Util.getInputLevel(createAnalyser(16))).toBe(0.5);
+    expect(Util.getInputLevel(createAnalyser(127))).toBe(1);
+  });
+
+  it('should tell sound from silence', () => {
+    expect(Util.isSound(0.05)).toBe(false);
+    expect(Util.isSound(0.5)).toBe(true);
+  });
+
+  it('should keep only the formatting authors may use', () => {
+    expect(Util.sanitizeHTML('<p>Say <strong>yes</strong>&nbsp;&amp; <em>no</em></p><ul><li>one</li></ul>'))
+      .toBe('<p>Say <strong>yes</strong>&nbsp;&amp; <em>no</em></p><ul><li>one</li></ul>');
+    expect(Util.sanitizeHTML('<p class="x" onclick="alert(1)">Say <a href="javascript:alert(1)">yes</a></p>'))
+      .toBe('<p>Say yes</p>');
+    expect(Util.sanitizeHTML('<img src="x" onerror="alert(1)">Hi<script>alert(1)</script><style>p {}</style>'))
+      .toBe('Hi');
+    expect(Util.sanitizeHTML('1 &lt; 2')).toBe('1 &lt; 2');
+  });
+
+  it('should get the text of formatted HTML', () => {
+    expect(Util.stripHTML('<p>Say <strong>&quot;yes&quot;</strong></p><ul><li>one</li><li>two</li></ul>line<br>break'))
+      .toBe('Say "yes" one two line break');
+    expect(Util.stripHTML('<p>1 &lt; 2<script>alert(1)</script></p>')).toBe('1 < 2');
+    expect(Util.stripHTML(undefined)).toBe('');
+  });
+
+  it('should stop listening to all the events it listens to', () => {
+    const eventStore = {on: jest.fn(), off: jest.fn()};
+    const handlers = {'reset-task': jest.fn(), 'answered-wrong': jest.fn()};
+
+    const stopListening = Util.listenTo(eventStore, handlers);
+    expect(eventStore.on).toHaveBeenCalledWith('reset-task', handlers['reset-task']);
+    expect(eventStore.off).not.toHaveBeenCalled();
+
+    stopListening();
+    expect(eventStore.off.mock.calls).toEqual(eventStore.on.mock.calls);
+  });
+});
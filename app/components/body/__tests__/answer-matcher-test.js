@@ -0,0 +1,176 @@
+jest.unmock('../answer-matcher');
+
+import AnswerMatcher from '../answer-matcher';
+
+describe('Answer Matcher', () => {
+  const acceptedAnswers = ['Sí, señor', 'Buenos días'];
+
+  it('should fold case, diacritics and punctuation', () => {
+    expect(AnswerMatcher.normalize('  ¡Sí, Señor!  ')).toBe('si senor');
+  });
+
+  it('should only accept identical answers when tolerance is exact', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers, 'exact');
+    expect(matcher.match('Sí, señor')).toEqual({answer: 'Sí, señor', similarity: 1});
+    expect(matcher.match('si senor')).toBeNull();
+    expect(matcher.match('sí, Señor')).toBeNull();
+  });
+
+  it('should accept normalized answers by default', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers);
+    expect(matcher.match('si senor')).toEqual({answer: 'Sí, señor', similarity: 1});
+    expect(matcher.match('buenas dias')).toBeNull();
+  });
+
+  it('should accept minor mistakes when tolerance is low', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers, 'low');
+    expect(matcher.match('buenas dias').answer).toBe('Buenos días');
+    expect(matcher.match('buenas tardes')).toBeNull();
+  });
+
+  it('should accept larger mistakes when tolerance is high', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers, 'high');
+    expect(matcher.match('bueno dia').answer).toBe('Buenos días');
+    expect(matcher.match('adios')).toBeNull();
+  });
+
+  it('should find the best matching alternative', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers, 'low');
+    expect(matcher.findMatch(['when does', 'buenas dias', 'buenos dias'])).toEqual({
+      response: 'buenos dias',
+      answer: 'Buenos días',
+      similarity: 1
+    });
+    expect(matcher.findMatch(['when does', 'where is'])).toBeNull();
+  });
+
+  it('should not accept responses that are closer to a wrong answer', () => {
+    const matcher = new AnswerMatcher(['Yo fui al cine'], 'high', 0, 'es-ES', ['Yo [fue|iba] al cine', 'embarazada']);
+    expect(matcher.match('yo fue al cine')).toBeNull();
+    expect(matcher.match('yo fui al cine').answer).toBe('Yo fui al cine');
+    expect(matcher.match('yo fi al cine').answer).toBe('Yo fui al cine');
+    expect(matcher.findMatch(['yo iba al cine', 'yo fui al cine']).response).toBe('yo fui al cine');
+  });
+
+  it('should not accept a wrong answer that is the same as an accepted one once normalized', () => {
+    const matcher = new AnswerMatcher(['Sí, claro'], 'normalized', 0, 'es-ES', ['Si claro']);
+    expect(matcher.match('si claro')).toBeNull();
+    expect(matcher.findMatch(['Sí, claro'])).toBeNull();
+    expect(matcher.findWrongAnswer(['Sí, claro'])).toEqual({response: 'Sí, claro', index: 0, similarity: 1});
+  });
+
+  it('should find the wrong answer an alternative matches', () => {
+    const matcher = new AnswerMatcher(['Estoy avergonzado'], 'normalized', 0, 'es-ES', ['embarazada', 'Estoy [embarazado|embarazada]']);
+    expect(matcher.findWrongAnswer(['es toy', 'estoy embarazado'])).toEqual({
+      response: 'estoy embarazado',
+      index: 1,
+      similarity: 1
+    });
+    expect(matcher.findWrongAnswer(['estoy avergonzado'])).toBeNull();
+  });
+
+  it('should not accept the wrong gender of an article', () => {
+    expect(new AnswerMatcher(['une maison'], 'normalized', 0, 'fr-FR').findMatch(['un maison'])).toBeNull();
+    expect(new AnswerMatcher(['una casa'], 'normalized', 0, 'es-ES').findMatch(['un casa'])).toBeNull();
+    expect(new AnswerMatcher(['eine Frau'], 'normalized', 0, 'de-DE').findMatch(['ein Frau'])).toBeNull();
+  });
+
+  it('should split words and leave out punctuation', () => {
+    expect(AnswerMatcher.getWords('¿Qué tal , amigo?').map(word => word.text))
+      .toEqual(['¿Qué', 'tal', 'amigo?']);
+  });
+
+  it('should line up the words of a response with an answer', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers);
+    expect(matcher.getWordDiff('yo tengo un gato negro', 'Tengo un perro negro grande')).toEqual([
+      {type: 'extra', actual: 'yo'},
+      {type: 'match', expected: 'Tengo', actual: 'tengo'},
+      {type: 'match', expected: 'un', actual: 'un'},
+      {type: 'substituted', expected: 'perro', actual: 'gato'},
+      {type: 'match', expected: 'negro', actual: 'negro'},
+      {type: 'missing', expected: 'grande'}
+    ]);
+  });
+
+  it('should not match missing responses', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers);
+    expect(matcher.match(undefined)).toBeNull();
+  });
+
+  it('should only be confident enough above the minimum confidence', () => {
+    const matcher = new AnswerMatcher(acceptedAnswers, 'normalized', 0.5);
+    expect(matcher.isConfident(0.4)).toBe(false);
+    expect(matcher.isConfident(0.5)).toBe(true);
+    expect(matcher.isConfident(null)).toBe(true);
+  });
+
+  it('should accept responses matching a pattern', () => {
+    const matcher = new AnswerMatcher(['[Yo soy|Soy] (muy) feliz', 'Tengo # años']);
+    expect(matcher.match('soy feliz')).toEqual({answer: 'soy feliz', similarity: 1});
+    expect(matcher.match('yo soy muy feliz')).toEqual({answer: 'yo soy muy feliz', similarity: 1});
+    expect(matcher.match('tengo 20 años')).toEqual({answer: 'tengo 20 años', similarity: 1});
+    expect(matcher.match('muy feliz')).toBeNull();
+  });
+
+  it('should compare other responses with an example of the pattern', () => {
+    const matcher = new AnswerMatcher(['[Yo soy|Soy] (muy) feliz'], 'low');
+    expect(matcher.getExamples()).toEqual(['Yo soy muy feliz']);
+    expect(matcher.match('yo soy muy felis').answer).toBe('Yo soy muy feliz');
+  });
+
+  it('should take patterns with mistakes literally', () => {
+    const matcher = new AnswerMatcher(['Hola (amigo']);
+    expect(matcher.getExamples()).toEqual(['Hola (amigo']);
+    expect(matcher.match('hola amigo')).toEqual({answer: 'Hola (amigo', similarity: 1});
+  });
+
+  it('should not read aloud examples of patterns with placeholders', () => {
+    const matcher = new AnswerMatcher(['Me llamo *', 'Tengo # años', '[Hola|Buenas]', 'Uno # dos']);
+    expect(matcher.getExamples()).toEqual(['Me llamo …', 'Tengo # años', 'Hola', 'Uno # dos']);
+    expect(matcher.getSpokenExamples()).toEqual([null, null, 'Hola', null]);
+  });
+
+  it('should only listen for answers that are not patterns', () => {
+    const matcher = new AnswerMatcher(['Hola', 'Buenos (días)']);
+    expect(matcher.getPhrases()).toEqual(['Hola']);
+  });
+
+  it('should match numbers said as words or digits', () => {
+    const matcher = new AnswerMatcher(['I am twenty one']);
+    expect(matcher.match('I am 21')).not.toBeNull();
+    expect(AnswerMatcher.normalize('One hundred and five cats')).toBe('105 cats');
+  });
+
+  it('should only take ranges for times when the answer is a time', () => {
+    expect(new AnswerMatcher(['It is 2:50']).match('it is ten to three')).not.toBeNull();
+    expect(new AnswerMatcher(['Count from 1 to 10']).match('count from one to ten')).not.toBeNull();
+    expect(new AnswerMatcher(['Count from 1 to 10']).match('count from 9:59')).toBeNull();
+  });
+
+  it('should compare answers as spoken in their language', () => {
+    const matcher = new AnswerMatcher(['Es ist halb vier'], 'normalized', 0, 'de-DE');
+    expect(matcher.match('es ist 3:30')).not.toBeNull();
+    expect(matcher.match('es ist 4:30')).toBeNull();
+  });
+
+  it('should follow a response through a passage read aloud', () => {
+    const matcher = new AnswerMatcher(['The cat sat on the mat.']);
+    const reading = matcher.getReading('the cat set on', 'The cat sat on the mat.');
+
+    expect(reading.filter(part => part.type !== null)).toEqual([
+      {text: 'The', type: 'read'},
+      {text: 'cat', type: 'read'},
+      {text: 'sat', type: 'misread'},
+      {text: 'on', type: 'read'},
+      {text: 'the', type: 'unread'},
+      {text: 'mat.', type: 'unread'}
+    ]);
+    expect(reading.map(part => part.text).join('')).toBe('The cat sat on the mat.');
+  });
+
+  it('should tell words skipped in a passage from words not reached', () => {
+    const matcher = new AnswerMatcher(['One, two - three four']);
+    const types = matcher.getReading('one three', 'One, two - three four').map(part => part.type);
+    expect(types).toEqual(['read', null, 'skipped', null, null, null, 'read', null, 'unread']);
+  });
+});
@@ -0,0 +1,61 @@
+jest.unmock('../answer-pattern');
+jest.unmock('../answer-matcher');
+jest.unmock('../spoken-forms/spoken-forms');
+
+import AnswerPattern from '../answer-pattern';
+import AnswerMatcher from '../answer-matcher';
+
+describe('Answer Pattern', () => {
+  const createPattern = text => new AnswerPattern(text, AnswerMatcher.normalize);
+
+  it('should only treat answers using the syntax as patterns', () => {
+    expect(AnswerPattern.isPattern('I am (very) happy')).toBe(true);
+    expect(AnswerPattern.isPattern('my name is *')).toBe(true);
+    expect(AnswerPattern.isPattern('I am # years old')).toBe(true);
+    expect(AnswerPattern.isPattern('number #1 fan')).toBe(false);
+    expect(AnswerPattern.isPattern('Hello, world')).toBe(false);
+  });
+
+  it('should match optional words', () => {
+    const pattern = createPattern('I am (very) happy');
+    expect(pattern.test('i am happy')).toBe(true);
+    expect(pattern.test('i am very happy')).toBe(true);
+    expect(pattern.test('i am so happy')).toBe(false);
+  });
+
+  it('should match alternatives', () => {
+    const pattern = createPattern('[I am|I\'m] [happy|glad]');
+    expect(pattern.test('im glad')).toBe(true);
+    expect(pattern.test('i am happy')).toBe(true);
+    expect(pattern.test('i happy')).toBe(false);
+  });
+
+  it('should match any words', () => {
+    const pattern = createPattern('my name is *');
+    expect(pattern.test('my name is anna maria')).toBe(true);
+    expect(pattern.test('my name is')).toBe(false);
+  });
+
+  it('should match any number', () => {
+    const pattern = createPattern('I am # years old');
+    expect(pattern.test(AnswerMatcher.normalize('I am forty two years old'))).toBe(true);
+    expect(pattern.test('i am 42 years old')).toBe(true);
+    expect(pattern.test('i am many years old')).toBe(false);
+  });
+
+  it('should find mistakes in patterns', () => {
+    expect(AnswerPattern.validate('I am (very) happy')).toBeNull();
+    expect(AnswerPattern.validate('I am (very happy')).toBe('unclosed');
+    expect(AnswerPattern.validate('I am [very) happy')).toBe('unclosed');
+    expect(AnswerPattern.validate('I am very) happy')).toBe('unopened');
+    expect(AnswerPattern.validate('I am ((very)) happy')).toBe('nested');
+    expect(AnswerPattern.validate('I am [very|] happy')).toBe('empty-group');
+    expect(AnswerPattern.validate('I am | happy')).toBe('alternatives-outside');
+    expect(AnswerPattern.validate('(very happy)')).toBe('nothing-required');
+  });
+
+  it('should give an example of a matching answer', () => {
+    expect(AnswerPattern.getExample('[I am|I\'m] (very) happy')).toBe('I am very happy');
+    expect(AnswerPattern.getExample('my name is *')).toBe('my name is …');
+  });
+});
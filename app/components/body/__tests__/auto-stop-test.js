@@ -0,0 +1,93 @@
+jest.unmock('../auto-stop');
+jest.unmock('../../speak-the-words-util');
+jest.useFakeTimers();
+
+import AutoStop from '../auto-stop';
+
+describe('Auto Stop', () => {
+  // Waveform swinging between the given amplitude and its inverse
+  const createAnalyser = (amplitude) => ({
+    fftSize: 4,
+    amplitude: amplitude,
+    getByteTimeDomainData: function (samples) {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = 128 + (i % 2 ? -this.amplitude : this.amplitude);
+      }
+    }
+  });
+
+  let now;
+  const create = (analyser, options) => {
+    const listeners = {};
+    const eventStore = {
+      on: (type, listener) => {
+        listeners[type] = listener;
+      },
+      trigger: jest.fn()
+    };
+    new AutoStop(eventStore, options || {silenceTimeout: 2, maxDuration: 15}, () => analyser);
+    return {eventStore, listeners};
+  };
+  const advance = (ms) => {
+    now += ms;
+    jest.advanceTimersByTime(ms);
+  };
+
+  beforeEach(() => {
+    now = 0;
+    Date.now = jest.fn(() => now);
+  });
+
+  it('should stop listening after a silence', () => {
+    const {eventStore, listeners} = create(createAnalyser(0));
+    listeners['start-listening']();
+
+    advance(1900);
+    expect(eventStore.trigger).not.toHaveBeenCalled();
+    advance(100);
+    expect(eventStore.trigger).toHaveBeenCalledWith('stop-listening');
+  });
+
+  it('should keep listening while there is sound', () => {
+    const analyser = createAnalyser(64);
+    const {eventStore, listeners} = create(analyser);
+    listeners['start-listening']();
+
+    advance(5000);
+    expect(eventStore.trigger).not.toHaveBeenCalled();
+
+    analyser.amplitude = 0;
+    advance(2000);
+    expect(eventStore.trigger).toHaveBeenCalledWith('stop-listening');
+  });
+
+  it('should count interim results as speech', () => {
+    const {eventStore, listeners} = create(null);
+    listeners['start-listening']();
+
+    advance(1500);
+    listeners['interim-result']();
+    advance(1500);
+    expect(eventStore.trigger).not.toHaveBeenCalled();
+    advance(500);
+    expect(eventStore.trigger).toHaveBeenCalledWith('stop-listening');
+  });
+
+  it('should stop listening after the maximum duration', () => {
+    const {eventStore, listeners} = create(createAnalyser(64), {silenceTimeout: 2, maxDuration: 3});
+    listeners['start-listening']();
+
+    advance(3000);
+    expect(eventStore.trigger).toHaveBeenCalledWith('stop-listening');
+    expect(eventStore.trigger).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop timing when answered', () => {
+    const {eventStore, listeners} = create(createAnalyser(0));
+    listeners['start-listening']();
+    listeners['answered-wrong']();
+
+    advance(5000);
+    expect(eventStore.trigger).not.toHaveBeenCalled();
+  });
+});
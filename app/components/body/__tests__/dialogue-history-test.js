@@ -0,0 +1,48 @@
+jest.unmock('../dialogue-history');
+jest.unmock('../listen-button');
+
+import React from 'react';
+import DialogueHistory from '../dialogue-history';
+import renderer from 'react-test-renderer';
+
+describe('Dialogue History', () => {
+  const eventStoreMock = {on: jest.fn(), off: jest.fn(), trigger: jest.fn()};
+  const l10n = {
+    listenLabel: 'Listen',
+    dialoguePartnerLabel: 'Partner',
+    dialogueUserLabel: 'You',
+    a11yListenLine: 'Listen to the line.'
+  };
+
+  it('should show the lines of the partner and the replies so far', () => {
+    const component = renderer.create(
+      <DialogueHistory
+        turns={[
+          {line: 'Hola, &iquest;c&oacute;mo est&aacute;s?', sources: null, response: 'muy bien', result: 'correct'},
+          {line: '&iquest;Y tu familia?', sources: [{src: 'audio/familia.mp3', type: 'audio/mpeg'}], result: 'unanswered'}
+        ]}
+        current={1}
+        language="es-ES"
+        eventStore={eventStoreMock}
+        l10n={l10n}
+      />
+    );
+
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should show replies that were not accepted', () => {
+    const component = renderer.create(
+      <DialogueHistory
+        turns={[{line: 'Hola', response: 'adiós', result: 'incorrect'}]}
+        current={0}
+        language="es-ES"
+        eventStore={eventStoreMock}
+        l10n={l10n}
+      />
+    );
+
+    const reply = component.toJSON().children[0].children[1];
+    expect(reply.props.className).toEqual('h5p-speak-the-words-dialogue-reply incorrect');
+  });
+});
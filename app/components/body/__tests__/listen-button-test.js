@@ -0,0 +1,108 @@
+jest.unmock('../listen-button');
+
+import React from 'react';
+import ListenButton from '../listen-button';
+import renderer from 'react-test-renderer';
+
+describe('Listen Button', () => {
+  const eventStoreMock = {on: jest.fn(), off: jest.fn(), trigger: jest.fn()};
+  const l10n = {listenLabel: 'Listen'};
+
+  const create = (sources, autoPlay) => {
+    return renderer.create(
+      <ListenButton
+        text="Buenos días"
+        sources={sources}
+        language="es-ES"
+        label="Listen to the answer"
+        autoPlay={autoPlay}
+        eventStore={eventStoreMock}
+        l10n={l10n}
+      />
+    );
+  };
+
+  afterEach(() => {
+    delete window.Audio;
+    delete window.speechSynthesis;
+    delete window.SpeechSynthesisUtterance;
+  });
+
+  it('should not render when the answer cannot be played', () => {
+    expect(create(null).toJSON()).toBeNull();
+  });
+
+  it('should not render without a recording or text to read aloud', () => {
+    window.speechSynthesis = {speak: jest.fn(), cancel: jest.fn()};
+    window.SpeechSynthesisUtterance = jest.fn();
+
+    const component = renderer.create(
+      <ListenButton
+        text={null}
+        language="es-ES"
+        label="Listen to the answer"
+        eventStore={eventStoreMock}
+        l10n={l10n}
+      />
+    );
+    expect(component.toJSON()).toBeNull();
+  });
+
+  it('should render when the author attached a recording', () => {
+    const component = create([{src: 'audio/buenos-dias.mp3', type: 'audio/mpeg'}]);
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should pronounce the answer in the input language without a recording', () => {
+    window.speechSynthesis = {speak: jest.fn(), cancel: jest.fn()};
+    window.SpeechSynthesisUtterance = function (text) {
+      this.text = text;
+    };
+
+    const component = create(null);
+    component.getInstance().toggle();
+
+    const utterance = window.speechSynthesis.speak.mock.calls[0][0];
+    expect(utterance.text).toEqual('Buenos días');
+    expect(utterance.lang).toEqual('es-ES');
+    expect(eventStoreMock.trigger).toHaveBeenCalledWith('play-pronunciation');
+    expect(component.toJSON()).toMatchSnapshot();
+
+    component.getInstance().toggle();
+    expect(window.speechSynthesis.cancel).toHaveBeenCalled();
+    expect(component.getInstance().state.playing).toBe(false);
+  });
+
+  it('should start playing once shown when asked to', () => {
+    window.speechSynthesis = {speak: jest.fn(), cancel: jest.fn()};
+    window.SpeechSynthesisUtterance = function (text) {
+      this.text = text;
+    };
+
+    create(null);
+    expect(window.speechSynthesis.speak).not.toHaveBeenCalled();
+
+    const component = create(null, true);
+    expect(window.speechSynthesis.speak).toHaveBeenCalledTimes(1);
+    expect(component.getInstance().state.playing).toBe(true);
+  });
+
+  it('should stop playing when the browser refuses to play the recording', () => {
+    const audio = {pause: jest.fn()};
+    let refuse;
+    audio.play = () => new Promise((resolve, reject) => {
+      refuse = reject;
+    });
+    window.Audio = jest.fn(() => audio);
+
+    const component = create([{src: 'audio/buenos-dias.mp3'}]);
+    component.getInstance().toggle();
+    expect(component.getInstance().state.playing).toBe(true);
+
+    refuse(new Error('NotAllowedError'));
+    return Promise.resolve().then(() => {
+      expect(component.getInstance().state.playing).toBe(false);
+      expect(audio.pause).toHaveBeenCalled();
+    });
+  });
+});
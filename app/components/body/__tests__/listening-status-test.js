@@ -0,0 +1,64 @@
+jest.unmock('../listening-status');
+jest.unmock('../../speak-the-words-util');
+
+import React from 'react';
+import ListeningStatus from '../listening-status';
+import renderer from 'react-test-renderer';
+
+describe('Listening Status', () => {
+  const l10n = {
+    a11yInputLevel: 'Input level',
+    a11ySoundDetected: 'Sound',
+    a11yNoSoundDetected: 'No sound'
+  };
+
+  // Waveform swinging between the given amplitude and its inverse
+  const createAnalyser = (amplitude) => ({
+    fftSize: 4,
+    getByteTimeDomainData: (samples) => {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = 128 + (i % 2 ? -amplitude : amplitude);
+      }
+    }
+  });
+
+  const create = (analyser) => {
+    const listeners = {};
+    const eventStore = {
+      on: (type, listener) => {
+        listeners[type] = listener;
+      }
+    };
+    const component = renderer.create(
+      <ListeningStatus eventStore={eventStore} getAnalyser={() => analyser} l10n={l10n}/>
+    );
+    return {component, listeners};
+  };
+
+  beforeEach(() => {
+    window.requestAnimationFrame = jest.fn(() => 1);
+    window.cancelAnimationFrame = jest.fn();
+  });
+
+  it('should render nothing when not listening', () => {
+    expect(create(null).component.toJSON()).toBeNull();
+  });
+
+  it('should show the input level and interim transcript while listening', () => {
+    const {component, listeners} = create(createAnalyser(16));
+    listeners['start-listening']();
+    component.getInstance().updateLevel();
+    listeners['interim-result']({data: 'buenos'});
+
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should stop measuring when listening stops', () => {
+    const {component, listeners} = create(createAnalyser(0));
+    listeners['start-listening']();
+    listeners['answered-wrong']();
+
+    expect(window.cancelAnimationFrame).toHaveBeenCalled();
+    expect(component.toJSON()).toBeNull();
+  });
+});
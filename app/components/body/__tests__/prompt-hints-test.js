@@ -0,0 +1,18 @@
+jest.unmock('../prompt-hints');
+
+import React from 'react';
+import PromptHints from '../prompt-hints';
+import renderer from 'react-test-renderer';
+
+describe('Prompt Hints', () => {
+  it('should show the hints revealed so far', () => {
+    const component = renderer.create(
+      <PromptHints
+        hints={['Starts with "b"', 'BWAY-nos DEE-as']}
+        l10n={{hintLabel: 'Hint:'}}
+      />
+    );
+
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,25 @@
+jest.unmock('../prompt-progress');
+
+import React from 'react';
+import PromptProgress from '../prompt-progress';
+import renderer from 'react-test-renderer';
+
+describe('Prompt Progress', () => {
+  it('should show the current prompt and the result of each prompt', () => {
+    const component = renderer.create(
+      <PromptProgress
+        current={1}
+        results={['correct', 'unanswered', 'incorrect']}
+        l10n={{
+          promptProgress: '@current/@total',
+          promptCorrect: 'Correct',
+          promptIncorrect: 'Incorrect',
+          promptUnanswered: 'Unanswered',
+          a11yPromptResult: '@index: @result'
+        }}
+      />
+    );
+
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+});
@@ -0,0 +1,58 @@
+jest.unmock('../reading-passage');
+jest.unmock('../answer-matcher');
+jest.unmock('../../speak-the-words-util');
+
+import React from 'react';
+import ReadingPassage from '../reading-passage';
+import AnswerMatcher from '../answer-matcher';
+import renderer from 'react-test-renderer';
+
+describe('Reading Passage', () => {
+  const passage = 'The cat sat on the mat.';
+
+  const create = () => {
+    const listeners = {};
+    const eventStore = {
+      on: (type, listener) => {
+        listeners[type] = (listeners[type] || []).concat(listener);
+      },
+      off: (type, listener) => {
+        listeners[type] = listeners[type].filter(l => l !== listener);
+      }
+    };
+
+    const component = renderer.create(
+      <ReadingPassage
+        eventStore={eventStore}
+        passage={passage}
+        answerMatcher={new AnswerMatcher([passage])}
+        l10n={{
+          a11yMisreadWord: 'Misread word: @word',
+          a11ySkippedWord: 'Skipped word: @word'
+        }}
+      />
+    );
+
+    return {component, listeners};
+  };
+
+  it('should highlight the words read so far', () => {
+    const {component, listeners} = create();
+    listeners['interim-result'][0]({data: 'the cat set'});
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should mark misread and skipped words once finished', () => {
+    const {component, listeners} = create();
+    listeners['answered-wrong'][0]({data: ['the cat set on']});
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should stop listening to events when removed', () => {
+    const {component, listeners} = create();
+    component.unmount();
+    Object.keys(listeners).forEach(type => {
+      expect(listeners[type]).toEqual([]);
+    });
+  });
+});
@@ -1,11 +1,12 @@
 jest.unmock('../record-button');
+jest.unmock('../../speak-the-words-util');
 
 import React from 'react';
 import RecordButton from '../record-button';
 import renderer from 'react-test-renderer';
 
 describe('Record Button', () => {
-  const eventStoreMock = {on: jest.fn(), trigger: jest.fn()};
+  const eventStoreMock = {on: jest.fn(), off: jest.fn(), trigger: jest.fn()};
   const speechEngineMock = jest.fn();
   const test = (action) => {
     const component = renderer.create(
@@ -92,9 +93,231 @@ describe('Record Button', () => {
     });
   });
 
+  it('should not start recording while locked', () => {
+    eventStoreMock.trigger.mockClear();
+    const component = renderer.create(
+      <RecordButton
+        eventStore={eventStoreMock}
+        speechEngine={speechEngineMock}
+        locked={true}
+        l10n={{
+          listeningLabel: 'listening',
+          speakLabel: 'speak'
+        }}
+      />
+    );
+
+    const tree = component.toJSON();
+    tree.props.onMouseDown(mouseEvent(1));
+    expect(tree.props.className).toContain('h5p-disabled');
+    expect(eventStoreMock.trigger).not.toHaveBeenCalled();
+  });
+
   it('should be possible to hide', () => {
     test((tree, component) => {
       component.getInstance().setState({hidden: true});
     });
   })
+
+  describe('in hold mode', () => {
+    const render = () => {
+      eventStoreMock.trigger.mockClear();
+      return renderer.create(
+        <RecordButton
+          eventStore={eventStoreMock}
+          speechEngine={speechEngineMock}
+          mode="hold"
+          l10n={{
+            listeningLabel: 'listening',
+            speakLabel: 'speak',
+            holdToSpeakLabel: 'hold to speak'
+          }}
+        />
+      );
+    };
+
+    it('should render initially', () => {
+      expect(render().toJSON()).toMatchSnapshot();
+    });
+
+    it('should listen while the mouse button is held', () => {
+      const component = render();
+      component.toJSON().props.onMouseDown(mouseEvent(1));
+      expect(component.getInstance().state.listening).toBe(true);
+      expect(eventStoreMock.trigger).toHaveBeenLastCalledWith('start-listening');
+
+      component.toJSON().props.onMouseUp();
+      expect(component.getInstance().state.listening).toBe(false);
+      expect(eventStoreMock.trigger).toHaveBeenLastCalledWith('stop-listening');
+    });
+
+    it('should stop listening when the mouse leaves the button', () => {
+      const component = render();
+      component.toJSON().props.onMouseDown(mouseEvent(1));
+      component.toJSON().props.onMouseLeave();
+      expect(component.getInstance().state.listening).toBe(false);
+    });
+
+    it('should not stop listening when pressed again', () => {
+      const component = render();
+      component.toJSON().props.onMouseDown(mouseEvent(1));
+      component.toJSON().props.onMouseDown(mouseEvent(1));
+      expect(component.getInstance().state.listening).toBe(true);
+      expect(eventStoreMock.trigger).toHaveBeenCalledTimes(1);
+    });
+
+    it('should listen while the button is touched', () => {
+      const component = render();
+      const touchEvent = {preventDefault: jest.fn()};
+      component.toJSON().props.onTouchStart(touchEvent);
+      expect(touchEvent.preventDefault).toHaveBeenCalled();
+      expect(component.getInstance().state.listening).toBe(true);
+
+      component.toJSON().props.onTouchEnd();
+      expect(component.getInstance().state.listening).toBe(false);
+    });
+
+    it('should listen while space is held, ignoring repeated key presses', () => {
+      const component = render();
+      component.toJSON().props.onKeyDown(keyEvent(32));
+      component.toJSON().props.onKeyDown(Object.assign(keyEvent(32), {repeat: true}));
+      expect(component.getInstance().state.listening).toBe(true);
+      expect(eventStoreMock.trigger).toHaveBeenCalledTimes(1);
+      expect(component.toJSON()).toMatchSnapshot();
+
+      component.toJSON().props.onKeyUp(keyEvent(32));
+      expect(component.getInstance().state.listening).toBe(false);
+      expect(eventStoreMock.trigger).toHaveBeenLastCalledWith('stop-listening');
+    });
+  });
+
+  it('should toggle recording on touch', () => {
+    test(tree => {
+      const touchEvent = {preventDefault: jest.fn()};
+      tree.props.onTouchStart(touchEvent);
+      expect(touchEvent.preventDefault).toHaveBeenCalled();
+    });
+  });
+
+  describe('with pointer events', () => {
+    let listeners;
+    let element;
+
+    beforeEach(() => {
+      window.PointerEvent = function () {};
+      listeners = {};
+      element = {
+        addEventListener: jest.fn((type, listener) => {
+          listeners[type] = listener;
+        }),
+        removeEventListener: jest.fn(),
+        setPointerCapture: jest.fn()
+      };
+    });
+
+    afterEach(() => {
+      delete window.PointerEvent;
+    });
+
+    const render = (mode) => {
+      eventStoreMock.trigger.mockClear();
+      return renderer.create(
+        <RecordButton
+          eventStore={eventStoreMock}
+          speechEngine={speechEngineMock}
+          mode={mode}
+          l10n={{
+            listeningLabel: 'listening',
+            speakLabel: 'speak',
+            holdToSpeakLabel: 'hold to speak'
+          }}
+        />,
+        {createNodeMock: () => element}
+      );
+    };
+
+    const pointerEvent = (pointerType, button) => {
+      return {
+        pointerType: pointerType,
+        pointerId: 1,
+        isPrimary: true,
+        button: button || 0,
+        preventDefault: jest.fn()
+      };
+    };
+
+    it('should render without mouse and touch handlers', () => {
+      expect(render().toJSON()).toMatchSnapshot();
+      expect(Object.keys(listeners)).toEqual(['pointerdown', 'pointerup', 'pointercancel']);
+    });
+
+    ['mouse', 'touch', 'pen'].forEach(pointerType => {
+      it(`should toggle recording with ${pointerType}`, () => {
+        const component = render();
+        listeners.pointerdown(pointerEvent(pointerType));
+        expect(component.toJSON()).toMatchSnapshot();
+        expect(eventStoreMock.trigger).toHaveBeenLastCalledWith('start-listening');
+
+        listeners.pointerup(pointerEvent(pointerType));
+        expect(component.toJSON().props['aria-pressed']).toBe(true);
+
+        listeners.pointerdown(pointerEvent(pointerType));
+        expect(component.toJSON().props['aria-pressed']).toBe(false);
+        expect(eventStoreMock.trigger).toHaveBeenLastCalledWith('stop-listening');
+      });
+
+      it(`should record while held with ${pointerType}`, () => {
+        const component = render('hold');
+        listeners.pointerdown(pointerEvent(pointerType));
+        expect(component.toJSON().props['aria-pressed']).toBe(true);
+        expect(element.setPointerCapture).toHaveBeenCalledWith(1);
+
+        listeners.pointerup(pointerEvent(pointerType));
+        expect(component.toJSON().props['aria-pressed']).toBe(false);
+        expect(eventStoreMock.trigger).toHaveBeenLastCalledWith('stop-listening');
+      });
+    });
+
+    it('should not start recording on right mouse button', () => {
+      const component = render();
+      listeners.pointerdown(pointerEvent('mouse', 2));
+      expect(component.toJSON().props['aria-pressed']).toBe(false);
+      expect(eventStoreMock.trigger).not.toHaveBeenCalled();
+    });
+
+    it('should ignore additional touches', () => {
+      const component = render();
+      const secondTouch = Object.assign(pointerEvent('touch'), {isPrimary: false});
+      listeners.pointerdown(secondTouch);
+      expect(component.toJSON().props['aria-pressed']).toBe(false);
+    });
+
+    it('should stop recording when the pointer is cancelled while held', () => {
+      const component = render('hold');
+      listeners.pointerdown(pointerEvent('touch'));
+      listeners.pointercancel(pointerEvent('touch'));
+      expect(component.toJSON().props['aria-pressed']).toBe(false);
+    });
+
+    it('should stop listening to pointer events when removed', () => {
+      render().unmount();
+      expect(element.removeEventListener).toHaveBeenCalledWith('pointerdown', listeners.pointerdown);
+      expect(element.removeEventListener).toHaveBeenCalledWith('pointerup', listeners.pointerup);
+      expect(element.removeEventListener).toHaveBeenCalledWith('pointercancel', listeners.pointercancel);
+    });
+  });
+
+  it('should stop listening to events when removed', () => {
+    eventStoreMock.on.mockClear();
+    eventStoreMock.off.mockClear();
+    const component = renderer.create(
+      <RecordButton
+        eventStore={eventStoreMock}
+        speechEngine={speechEngineMock}
+        l10n={{speakLabel: 'speak'}}
+      />
+    );
+    component.unmount();
+    expect(eventStoreMock.off.mock.calls).toEqual(eventStoreMock.on.mock.calls);
+  });
 });
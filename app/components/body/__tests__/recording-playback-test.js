@@ -0,0 +1,27 @@
+jest.unmock('../recording-playback');
+
+import React from 'react';
+import RecordingPlayback from '../recording-playback';
+import renderer from 'react-test-renderer';
+
+describe('Recording Playback', () => {
+  const l10n = {playbackLabel: 'Listen'};
+
+  it('should render the recording next to the transcript', () => {
+    const component = renderer.create(
+      <RecordingPlayback
+        recording="blob:recording"
+        transcript="buenos dias"
+        l10n={l10n}
+      />
+    );
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should render without transcript', () => {
+    const component = renderer.create(
+      <RecordingPlayback recording="blob:recording" l10n={l10n}/>
+    );
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+});
@@ -2,6 +2,7 @@ jest.unmock('../show-solution');
 
 import React from 'react';
 import ShowSolution from '../show-solution';
+import AnswerMatcher from '../answer-matcher';
 import renderer from 'react-test-renderer';
 
 describe('Show Solution', () => {
@@ -10,7 +11,9 @@ describe('Show Solution', () => {
     acceptedAnswers: ['Dart', 'Vader'],
     l10n: {
       correctAnswersText: 'Correct',
-      userAnswersText: 'User answers'
+      userAnswersText: 'User answers',
+      listenLabel: 'Listen',
+      a11yListenAnswer: 'Listen to @answer'
     }
   };
 
@@ -46,4 +49,95 @@ describe('Show Solution', () => {
       });
     });
   });
+
+  it('should show every answer when some are the same', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const component = renderer.create(
+      <ShowSolution
+        eventStore={eventStoreMock}
+        {...params}
+        acceptedAnswers={['Dart', 'Dart']}
+      />
+    );
+    component.getInstance().setState({
+      showSolution: true,
+      userAnswers: ['Luke', 'Luke']
+    });
+
+    const json = JSON.stringify(component.toJSON());
+    expect(json.match(/"Dart"/g).length).toBe(2);
+    expect(json.match(/"Luke"/g).length).toBe(2);
+    expect(error).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it('should compare the closest answer word by word', () => {
+    const component = renderer.create(
+      <ShowSolution
+        eventStore={eventStoreMock}
+        answerMatcher={new AnswerMatcher(params.acceptedAnswers)}
+        acceptedAnswers={params.acceptedAnswers}
+        l10n={{
+          correctAnswersText: 'Correct',
+          userAnswersText: 'User answers',
+          wordDiffText: 'Compared',
+          a11yCorrectWord: 'Correct: @word',
+          a11yExtraWord: 'Extra: @word',
+          a11yListenAnswer: 'Listen to @answer'
+        }}
+      />
+    );
+
+    component.getInstance().setState({
+      showSolution: true,
+      userAnswers: ['dark vader']
+    });
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should mark the matched answer when answered correctly', () => {
+    test((tree, component) => {
+      component.getInstance().setState({
+        showSolution: true,
+        userAnswers: ['dart'],
+        answeredCorrectly: true
+      });
+    });
+  });
+
+  it('should show the feedback for a known wrong answer', () => {
+    const component = renderer.create(
+      <ShowSolution
+        eventStore={eventStoreMock}
+        {...params}
+        wrongAnswerFeedback="&quot;Dark&quot; is not a weapon."
+      />
+    );
+
+    component.getInstance().setState({
+      showSolution: true,
+      userAnswers: ['dark']
+    });
+    expect(component.toJSON()).toMatchSnapshot();
+
+    component.getInstance().setState({answeredCorrectly: true});
+    expect(JSON.stringify(component.toJSON())).not.toContain('h5p-speak-the-words-wrong-answer-feedback');
+  });
+
+  it('should show how confident the speech engine was', () => {
+    const component = renderer.create(
+      <ShowSolution
+        eventStore={eventStoreMock}
+        {...params}
+        confidence={0.426}
+        l10n={Object.assign({confidenceText: 'Confidence: @confidence%'}, params.l10n)}
+      />
+    );
+
+    component.getInstance().setState({
+      showSolution: true,
+      userAnswers: ['dart']
+    });
+    expect(component.toJSON()).toMatchSnapshot();
+  });
 });
@@ -0,0 +1,179 @@
+jest.unmock('../speech-engine');
+jest.unmock('../answer-matcher');
+jest.unmock('../recognizers/recognizer');
+
+import SpeechEngine from '../speech-engine';
+import AnswerMatcher from '../answer-matcher';
+import Recognizer from '../recognizers/recognizer';
+
+describe('Speech Engine', () => {
+  const createEngine = () => {
+    const listeners = {};
+    const eventStore = {
+      on: (type, listener) => {
+        listeners[type] = listener;
+      },
+      trigger: jest.fn((type, data) => {
+        if (listeners[type]) {
+          listeners[type]({type: type, data: data});
+        }
+      })
+    };
+
+    const recognizer = new Recognizer();
+    recognizer.start = jest.fn();
+    recognizer.abort = jest.fn();
+
+    const engine = new SpeechEngine({
+      inputLanguage: 'es-ES',
+      l10n: {
+        noSound: 'No sound',
+        microphoneDeniedText: 'Denied',
+        noMicrophoneText: 'No microphone',
+        networkErrorText: 'Network',
+        speechErrorText: 'Error'
+      }
+    }, eventStore, recognizer);
+    engine.setAnswers(['Buenos días'], new AnswerMatcher(['Buenos días']));
+    eventStore.trigger('start-listening');
+
+    return {engine, eventStore, recognizer};
+  };
+
+  it('should listen for the accepted answers in the input language', () => {
+    const {recognizer} = createEngine();
+    expect(recognizer.language).toEqual('es-ES');
+    expect(recognizer.phrases).toEqual(['Buenos días']);
+    expect(recognizer.start).toHaveBeenCalled();
+  });
+
+  it('should answer correctly when an accepted answer is heard', () => {
+    const {eventStore, recognizer} = createEngine();
+    recognizer.handleAlternatives(['buenos días']);
+    expect(eventStore.trigger).toHaveBeenCalledWith('answered-correctly', ['buenos días']);
+    expect(recognizer.abort).toHaveBeenCalled();
+  });
+
+  it('should accept alternatives within the matching tolerance', () => {
+    const {eventStore, recognizer} = createEngine();
+    recognizer.handleAlternatives(['buenos dias!']);
+    expect(eventStore.trigger).toHaveBeenCalledWith('answered-correctly', ['buenos dias!']);
+  });
+
+  it('should answer wrong when an accepted phrase is also a wrong answer', () => {
+    const {engine, eventStore, recognizer} = createEngine();
+    engine.setAnswers(['Buenos días'], new AnswerMatcher(['Buenos días'], 'normalized', 0, 'es-ES', ['buenos dias']));
+    eventStore.trigger('start-listening');
+    recognizer.handleAlternatives(['buenos días']);
+    expect(eventStore.trigger).toHaveBeenCalledWith('answered-wrong', ['buenos días']);
+    expect(eventStore.trigger).not.toHaveBeenCalledWith('answered-correctly', expect.anything());
+  });
+
+  it('should only accept an accepted answer heard in the same case when matching exactly', () => {
+    const {engine, eventStore, recognizer} = createEngine();
+    engine.setAnswers(['Buenos días'], new AnswerMatcher(['Buenos días'], 'exact'));
+    recognizer.handleAlternatives(['buenos días']);
+    expect(eventStore.trigger).toHaveBeenCalledWith('answered-wrong', ['buenos días']);
+
+    eventStore.trigger('start-listening');
+    recognizer.handleAlternatives(['Buenos días']);
+    expect(eventStore.trigger).toHaveBeenCalledWith('answered-correctly', ['Buenos días']);
+  });
+
+  it('should answer wrong when nothing close is heard', () => {
+    const {eventStore, recognizer} = createEngine();
+    recognizer.handleAlternatives(['buenas noches']);
+    expect(eventStore.trigger).toHaveBeenCalledWith('answered-wrong', ['buenas noches']);
+  });
+
+  it('should answer wrong when an accepted answer is heard with too little confidence', () => {
+    const {engine, eventStore, recognizer} = createEngine();
+    engine.setAnswers(['Buenos días'], new AnswerMatcher(['Buenos días'], 'normalized', 0.6));
+    recognizer.handleAlternatives([{transcript: 'buenos días', confidence: 0.3}]);
+    expect(engine.getConfidence('Buenos días')).toBe(0.3);
+    expect(eventStore.trigger).toHaveBeenCalledWith('answered-wrong', ['buenos días']);
+  });
+
+  it('should pass on interim results while listening', () => {
+    const {eventStore, recognizer} = createEngine();
+    recognizer.trigger('interim', 'buenos');
+    expect(eventStore.trigger).toHaveBeenCalledWith('interim-result', 'buenos');
+  });
+
+  const testError = (error, message) => {
+    const {eventStore, recognizer} = createEngine();
+    recognizer.trigger('error', {error: error});
+    expect(eventStore.trigger).toHaveBeenCalledWith('speech-error', {
+      error: error,
+      message: message
+    });
+    expect(recognizer.abort).toHaveBeenCalled();
+  };
+
+  it('should tell when access to the microphone is denied', () => {
+    testError('not-allowed', 'Denied');
+    testError('service-not-allowed', 'Denied');
+  });
+
+  it('should tell when there is no microphone', () => {
+    testError('audio-capture', 'No microphone');
+  });
+
+  it('should tell when nothing was heard', () => {
+    testError('no-speech', 'No sound');
+  });
+
+  it('should tell when the network failed', () => {
+    testError('network', 'Network');
+  });
+
+  it('should tell when anything else went wrong', () => {
+    testError('language-not-supported', 'Error');
+  });
+
+  it('should only report errors while listening', () => {
+    const {eventStore, recognizer} = createEngine();
+    eventStore.trigger('stop-all-media');
+    recognizer.trigger('error', {error: 'network'});
+    expect(eventStore.trigger).not.toHaveBeenCalledWith('speech-error', expect.anything());
+  });
+
+  describe('reading aloud', () => {
+    const createReadingEngine = () => {
+      const passage = 'Había una vez un gato';
+      const setup = createEngine();
+      setup.engine.setAnswers([passage], new AnswerMatcher([passage]), true);
+      setup.eventStore.trigger('start-listening');
+      setup.eventStore.trigger.mockClear();
+      return setup;
+    };
+
+    it('should keep listening through pauses until stopped', () => {
+      const {eventStore, recognizer} = createReadingEngine();
+      recognizer.handleAlternatives(['había una vez']);
+      recognizer.trigger('error', {error: 'no-speech'});
+      recognizer.trigger('interim', 'un');
+      expect(eventStore.trigger).toHaveBeenCalledWith('interim-result', 'había una vez un');
+
+      recognizer.handleAlternatives(['un perro']);
+      expect(eventStore.trigger).not.toHaveBeenCalledWith('answered-wrong', expect.anything());
+
+      recognizer.trigger('stop');
+      expect(eventStore.trigger).toHaveBeenCalledWith('answered-wrong', ['había una vez un perro']);
+    });
+
+    it('should answer correctly when the whole passage was read', () => {
+      const {eventStore, recognizer} = createReadingEngine();
+      recognizer.handleAlternatives(['había una vez']);
+      recognizer.handleAlternatives(['un gato']);
+      recognizer.trigger('stop');
+      expect(eventStore.trigger).toHaveBeenCalledWith('answered-correctly', ['había una vez un gato']);
+    });
+
+    it('should tell when nothing was read', () => {
+      const {eventStore, recognizer} = createReadingEngine();
+      recognizer.trigger('stop');
+      expect(eventStore.trigger).toHaveBeenCalledWith('speech-error', {error: 'no-speech', message: 'No sound'});
+    });
+  });
+});
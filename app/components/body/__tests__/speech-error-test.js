@@ -0,0 +1,40 @@
+jest.unmock('../speech-error');
+jest.unmock('../../speak-the-words-util');
+
+import React from 'react';
+import SpeechError from '../speech-error';
+import renderer from 'react-test-renderer';
+
+describe('Speech Error', () => {
+  const listeners = {};
+  const eventStoreMock = {
+    on: (type, listener) => {
+      listeners[type] = listener;
+    },
+    off: (type, listener) => {
+      if (listeners[type] === listener) {
+        delete listeners[type];
+      }
+    }
+  };
+  const component = renderer.create(<SpeechError eventStore={eventStoreMock}/>);
+
+  it('should render nothing initially', () => {
+    expect(component.toJSON()).toBeNull();
+  });
+
+  it('should show the message of an error', () => {
+    listeners['speech-error']({data: {error: 'no-speech', message: 'I could not hear you'}});
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should hide the message when trying again', () => {
+    listeners['start-listening']();
+    expect(component.toJSON()).toBeNull();
+  });
+
+  it('should stop listening to events when removed', () => {
+    component.unmount();
+    expect(listeners).toEqual({});
+  });
+});
@@ -0,0 +1,64 @@
+jest.unmock('../typed-answer');
+jest.unmock('../../speak-the-words-util');
+
+import React from 'react';
+import TypedAnswer from '../typed-answer';
+import renderer from 'react-test-renderer';
+
+describe('Typed Answer', () => {
+  const eventStoreMock = {on: jest.fn(), off: jest.fn(), trigger: jest.fn()};
+  const l10n = {
+    typedFallbackText: 'Type instead',
+    typedAnswerLabel: 'Your answer',
+    submitAnswerLabel: 'Check'
+  };
+
+  const create = (onAnswer) => {
+    return renderer.create(
+      <TypedAnswer eventStore={eventStoreMock} onAnswer={onAnswer} l10n={l10n}/>
+    );
+  };
+
+  const submitEvent = () => ({preventDefault: jest.fn()});
+
+  it('should render initially', () => {
+    expect(create(jest.fn()).toJSON()).toMatchSnapshot();
+  });
+
+  it('should answer with the trimmed text when submitted', () => {
+    const onAnswer = jest.fn();
+    const component = create(onAnswer);
+    component.getInstance().setState({value: ' buenos días '});
+    component.toJSON().props.onSubmit(submitEvent());
+    expect(onAnswer).toHaveBeenCalledWith('buenos días');
+  });
+
+  it('should not answer when empty or disabled', () => {
+    const onAnswer = jest.fn();
+    const component = create(onAnswer);
+    component.toJSON().props.onSubmit(submitEvent());
+
+    component.getInstance().setState({value: 'hola', disabled: true});
+    component.toJSON().props.onSubmit(submitEvent());
+    expect(onAnswer).not.toHaveBeenCalled();
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+
+  it('should not answer while locked', () => {
+    const onAnswer = jest.fn();
+    const component = renderer.create(
+      <TypedAnswer eventStore={eventStoreMock} onAnswer={onAnswer} locked={true} l10n={l10n}/>
+    );
+    component.getInstance().setState({value: 'hola'});
+    component.toJSON().props.onSubmit(submitEvent());
+    expect(onAnswer).not.toHaveBeenCalled();
+  });
+
+  it('should stop listening to events when removed', () => {
+    eventStoreMock.on.mockClear();
+    eventStoreMock.off.mockClear();
+    const component = create(jest.fn());
+    component.unmount();
+    expect(eventStoreMock.off.mock.calls).toEqual(eventStoreMock.on.mock.calls);
+  });
+});
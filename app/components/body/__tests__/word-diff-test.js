@@ -0,0 +1,31 @@
+jest.unmock('../word-diff');
+
+import React from 'react';
+import WordDiff from '../word-diff';
+import renderer from 'react-test-renderer';
+
+describe('Word Diff', () => {
+  const l10n = {
+    wordDiffText: 'Compared',
+    a11yCorrectWord: 'Correct: @word',
+    a11yMissingWord: 'Missing: @word',
+    a11yExtraWord: 'Extra: @word',
+    a11ySubstitutedWord: '@actual instead of @expected'
+  };
+
+  it('should mark matching, missing, extra and substituted words', () => {
+    const component = renderer.create(
+      <WordDiff
+        l10n={l10n}
+        diff={[
+          {type: 'extra', actual: 'yo'},
+          {type: 'match', expected: 'Tengo', actual: 'tengo'},
+          {type: 'substituted', expected: 'perro', actual: 'gato'},
+          {type: 'missing', expected: 'negro'}
+        ]}
+      />
+    );
+
+    expect(component.toJSON()).toMatchSnapshot();
+  });
+});
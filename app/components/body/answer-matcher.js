@@ -0,0 +1,469 @@
+import AnswerPattern from './answer-pattern';
+import SpokenForms from './spoken-forms/spoken-forms';
+
+/**
+ * Minimum similarity a response must have to an accepted answer for each
+ * tolerance level. Similarity is 1 for identical texts and 0 for texts that
+ * have nothing in common.
+ */
+const THRESHOLDS = {
+  exact: 1,
+  normalized: 1,
+  low: 0.85,
+  high: 0.7
+};
+
+const PUNCTUATION = /[.,\/#!$%\^&\*;:{}=\-_`~()\[\]"?¿¡«»“”„…]/g;
+const APOSTROPHES = /['‘’]/g;
+
+// Times written with digits, like "2:50"
+const CLOCK_TIME = /\b\d{1,2}:\d{2}\b/;
+
+// How each word of a passage was read, by its type in the word diff
+const READING = {
+  match: 'read',
+  substituted: 'misread',
+  missing: 'skipped'
+};
+
+/**
+ * Answer matcher
+ * Decides whether a response given by the user matches any of the
+ * answers accepted by the author, within the tolerance set by the author,
+ * and whether the speech engine was confident enough about what it heard.
+ *
+ * Common wrong answers listed by the author are matched the same way. A
+ * response at least as close to a wrong answer as to any accepted answer is
+ * not accepted, even if it is within the tolerance.
+ */
+export default class AnswerMatcher {
+
+  /**
+   * Initializes matcher with the answers it should accept.
+   *
+   * @param {Array} acceptedAnswers Author specified list of accepted answers,
+   *  which may be written as patterns, see AnswerPattern
+   * @param {string} [tolerance='normalized'] One of 'exact', 'normalized', 'low' or 'high'
+   * @param {number} [minConfidence=0] Minimum confidence of the speech engine, 0 to 1
+   * @param {string} [language] Language the answers are spoken in, see SpokenForms
+   * @param {Array} [wrongAnswers=[]] Common wrong answers listed by the author,
+   *  which may be written as patterns too
+   */
+  constructor(acceptedAnswers, tolerance = 'normalized', minConfidence = 0, language, wrongAnswers = []) {
+    this.minConfidence = minConfidence;
+    this.language = language;
+    this.tolerance = THRESHOLDS.hasOwnProperty(tolerance) ? tolerance : 'normalized';
+    this.threshold = THRESHOLDS[this.tolerance];
+
+    // Answers about times are compared with any time the response may hold
+    this.times = acceptedAnswers.concat(wrongAnswers).some(answer => CLOCK_TIME.test(answer));
+    this.acceptedAnswers = acceptedAnswers.map(this.compile.bind(this));
+    this.wrongAnswers = wrongAnswers.map(this.compile.bind(this));
+  }
+
+  /**
+   * Prepare an answer written by the author for matching.
+   *
+   * @param {string} answer Answer, which may be written as a pattern
+   * @return {Object} Answer as {text, normalized, pattern}, where text is an
+   *  example of the pattern
+   */
+  compile(answer) {
+    // Patterns with mistakes are taken literally
+    if (!AnswerPattern.isPattern(answer) || AnswerPattern.validate(answer)) {
+      return {text: answer, normalized: this.prepare(answer), pattern: null};
+    }
+
+    const pattern = new AnswerPattern(answer, this.prepare.bind(this));
+    const example = pattern.getExample();
+    return {text: example, normalized: this.prepare(example), pattern: pattern};
+  }
+
+  /**
+   * Get the accepted answers as they can be shown to the user, with an
+   * example for each pattern.
+   *
+   * @return {Array} Accepted answers
+   */
+  getExamples() {
+    return this.acceptedAnswers.map(answer => answer.text);
+  }
+
+  /**
+   * Get the accepted answers as they can be read aloud by speech synthesis.
+   * Examples of patterns with placeholders are left out, as there is no
+   * telling what words the placeholders stand for.
+   *
+   * @return {Array} Accepted answers, null where there is nothing to read aloud
+   */
+  getSpokenExamples() {
+    return this.acceptedAnswers.map(answer => {
+      return answer.pattern && answer.pattern.hasPlaceholders() ? null : answer.text;
+    });
+  }
+
+  /**
+   * Get the accepted answers that are not patterns, which can be listened
+   * for as they are.
+   *
+   * @return {Array} Accepted answers
+   */
+  getPhrases() {
+    return this.acceptedAnswers
+      .filter(answer => !answer.pattern)
+      .map(answer => answer.text);
+  }
+
+  /**
+   * Find the accepted answer that best matches a response.
+   *
+   * @param {string} response Response as interpreted by the speech engine
+   * @return {Object|null} Matched answer and its similarity, or null if
+   *  no accepted answer is close enough or a wrong answer is as close
+   */
+  match(response) {
+    const closest = this.getClosest(response);
+    if (!closest || closest.similarity < this.threshold) {
+      return null;
+    }
+
+    // Wrong answers win ties, as they may only differ in what normalization folds away
+    const wrong = this.getWrongAnswer(response);
+    return wrong && wrong.similarity >= closest.similarity ? null : closest;
+  }
+
+  /**
+   * Find the wrong answer that best matches a response.
+   *
+   * @param {string} response Response as interpreted by the speech engine
+   * @return {Object|null} Index of the wrong answer and its similarity, or
+   *  null if no wrong answer is close enough
+   */
+  getWrongAnswer(response) {
+    if (typeof response !== 'string') {
+      return null;
+    }
+
+    const prepared = this.prepare(response);
+    let best = null;
+    this.wrongAnswers.forEach((answer, index) => {
+      const similarity = answer.pattern && answer.pattern.test(prepared) ?
+        1 : AnswerMatcher.getSimilarity(prepared, answer.normalized);
+      if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+        best = {index: index, similarity: similarity};
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Find the accepted answer that is most similar to a response, no matter
+   * how different they are. A response matching a pattern is its own
+   * closest answer, and responses that do not are compared with an example
+   * of the pattern.
+   *
+   * @param {string} response Response as interpreted by the speech engine
+   * @return {Object|null} Closest answer and its similarity, or null if
+   *  there is no response or no accepted answers
+   */
+  getClosest(response) {
+    if (typeof response !== 'string') {
+      return null;
+    }
+
+    const prepared = this.prepare(response);
+    let best = null;
+    this.acceptedAnswers.forEach(answer => {
+      if (answer.pattern && answer.pattern.test(prepared)) {
+        if (!best || best.similarity < 1) {
+          best = {answer: response, similarity: 1};
+        }
+        return;
+      }
+
+      const similarity = AnswerMatcher.getSimilarity(prepared, answer.normalized);
+      if (!best || similarity > best.similarity) {
+        best = {answer: answer.text, similarity: similarity};
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Check if the speech engine was confident enough about a response for it
+   * to be accepted.
+   *
+   * @param {number|null} confidence Confidence of the speech engine, 0 to 1,
+   *  null if it is not known
+   * @return {boolean} True if confident enough or the confidence is not known
+   */
+  isConfident(confidence) {
+    return typeof confidence !== 'number' || confidence >= this.minConfidence;
+  }
+
+  /**
+   * Find the recognition alternative that best matches an accepted answer.
+   * Earlier alternatives are preferred when several match equally well.
+   *
+   * @param {Array} alternatives Alternative transcriptions from the speech engine
+   * @return {Object|null} Matched alternative, answer and similarity, or null
+   *  if none of the alternatives is close enough to an accepted answer
+   */
+  findMatch(alternatives) {
+    let best = null;
+    (alternatives || []).forEach(response => {
+      const match = this.match(response);
+      if (match && (!best || match.similarity > best.similarity)) {
+        best = {
+          response: response,
+          answer: match.answer,
+          similarity: match.similarity
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Find the recognition alternative that best matches a wrong answer.
+   *
+   * @param {Array} alternatives Alternative transcriptions from the speech engine
+   * @return {Object|null} Matched alternative, index of the wrong answer and
+   *  similarity, or null if none of the alternatives is close enough to a
+   *  wrong answer
+   */
+  findWrongAnswer(alternatives) {
+    let best = null;
+    (alternatives || []).forEach(response => {
+      const wrong = this.getWrongAnswer(response);
+      if (wrong && (!best || wrong.similarity > best.similarity)) {
+        best = {
+          response: response,
+          index: wrong.index,
+          similarity: wrong.similarity
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Find the recognition alternative that is most similar to any accepted
+   * answer, no matter how different they are.
+   *
+   * @param {Array} alternatives Alternative transcriptions from the speech engine
+   * @return {Object|null} Closest alternative, answer and similarity
+   */
+  findClosest(alternatives) {
+    let best = null;
+    (alternatives || []).forEach(response => {
+      const closest = this.getClosest(response);
+      if (closest && (!best || closest.similarity > best.similarity)) {
+        best = {
+          response: response,
+          answer: closest.answer,
+          similarity: closest.similarity
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Line up the words of a response with the words of an answer.
+   * Each entry tells whether the word was matched, missing from the
+   * response, extra in the response or substituted by a different word.
+   *
+   * @param {string} response Response as interpreted by the speech engine
+   * @param {string} answer Accepted answer to compare with
+   * @return {Array} Entries with type, expected and actual word
+   */
+  getWordDiff(response, answer) {
+    const actual = AnswerMatcher.getWords(response, this.language);
+    const expected = AnswerMatcher.getWords(answer, this.language);
+    const cost = (i, j) => this.isSameWord(expected[i - 1], actual[j - 1]) ? 0 : 1;
+
+    // Edit distance table over words
+    const table = [];
+    for (let i = 0; i <= expected.length; i++) {
+      table[i] = [i];
+      for (let j = 1; j <= actual.length; j++) {
+        table[i][j] = i === 0 ? j : Math.min(
+          table[i - 1][j] + 1,
+          table[i][j - 1] + 1,
+          table[i - 1][j - 1] + cost(i, j)
+        );
+      }
+    }
+
+    // Walk back through the table to find the operations used
+    const diff = [];
+    let i = expected.length;
+    let j = actual.length;
+    while (i > 0 || j > 0) {
+      if (i > 0 && j > 0 && table[i][j] === table[i - 1][j - 1] + cost(i, j)) {
+        diff.unshift({
+          type: cost(i, j) ? 'substituted' : 'match',
+          expected: expected[i - 1].text,
+          actual: actual[j - 1].text
+        });
+        i--;
+        j--;
+      }
+      else if (i > 0 && table[i][j] === table[i - 1][j] + 1) {
+        diff.unshift({type: 'missing', expected: expected[i - 1].text});
+        i--;
+      }
+      else {
+        diff.unshift({type: 'extra', actual: actual[j - 1].text});
+        j--;
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+   * Follow a response through a passage read aloud. The passage is split
+   * into parts, telling for each word whether it was read, misread or
+   * skipped. Words after the last one reached are unread.
+   *
+   * @param {string} response Response as interpreted by the speech engine
+   * @param {string} passage Passage being read
+   * @return {Array} Parts of the passage as {text, type}, where type is one
+   *  of 'read', 'misread', 'skipped' or 'unread' for words, and null for
+   *  whitespace and punctuation
+   */
+  getReading(response, passage) {
+    const types = this.getWordDiff(response || '', passage)
+      .filter(entry => entry.type !== 'extra')
+      .map(entry => READING[entry.type]);
+
+    let reached = types.length;
+    while (reached > 0 && types[reached - 1] === 'skipped') {
+      reached--;
+    }
+    for (let i = reached; i < types.length; i++) {
+      types[i] = 'unread';
+    }
+
+    // Parts are words in the same way as in the word diff
+    let index = 0;
+    return passage.split(/(\s+)/).filter(part => part).map(part => {
+      const word = /\S/.test(part) && AnswerMatcher.normalize(part, this.language) !== '';
+      return {text: part, type: word ? types[index++] : null};
+    });
+  }
+
+  /**
+   * Check if two words are the same within the tolerance level.
+   *
+   * @param {Object} a First word
+   * @param {Object} b Second word
+   * @return {boolean} True if the words are considered the same
+   */
+  isSameWord(a, b) {
+    return a.normalized === b.normalized || (this.threshold < 1 &&
+      AnswerMatcher.getSimilarity(a.normalized, b.normalized) >= this.threshold);
+  }
+
+  /**
+   * Prepare text for comparison according to tolerance level.
+   *
+   * @param {string} text Text to prepare
+   * @return {string} Text ready for comparison
+   */
+  prepare(text) {
+    return this.tolerance === 'exact' ? text.trim() : AnswerMatcher.normalize(text, this.language, this.times);
+  }
+
+  /**
+   * Fold case, diacritics, punctuation and whitespace, and write numbers,
+   * times and units the same way however they were spoken.
+   *
+   * @param {string} text Text to normalize
+   * @param {string} [language] Language the text is spoken in, see SpokenForms
+   * @param {boolean} [times=false] True if the text is known to be about
+   *  times, see SpokenForms.normalize()
+   * @return {string} Normalized text
+   */
+  static normalize(text, language, times = false) {
+    const spokenForms = SpokenForms.forLanguage(language);
+    let normalized = text.toLowerCase();
+    if (normalized.normalize) {
+      normalized = normalized.normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC');
+    }
+
+    return spokenForms.normalize(spokenForms.prepare(normalized)
+      .replace(APOSTROPHES, '')
+      .replace(PUNCTUATION, ' ')
+      .replace(/\s+/g, ' ')
+      .trim(), times);
+  }
+
+  /**
+   * Split text into words, leaving out anything that is only punctuation.
+   *
+   * @param {string} text Text to split
+   * @param {string} [language] Language the text is spoken in
+   * @return {Array} Words with their original and normalized text
+   */
+  static getWords(text, language) {
+    return text.split(/\s+/)
+      .map(word => ({text: word, normalized: AnswerMatcher.normalize(word, language)}))
+      .filter(word => word.normalized !== '');
+  }
+
+  /**
+   * Get similarity of two texts based on their edit distance.
+   *
+   * @param {string} a First text
+   * @param {string} b Second text
+   * @return {number} Similarity between 0 and 1
+   */
+  static getSimilarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    if (!length) {
+      return 1;
+    }
+
+    return 1 - AnswerMatcher.getEditDistance(a, b) / length;
+  }
+
+  /**
+   * Get Levenshtein distance between two sequences.
+   *
+   * @param {string|Array} a First sequence
+   * @param {string|Array} b Second sequence
+   * @return {number} Number of insertions, deletions and substitutions
+   *  needed to turn one sequence into the other
+   */
+  static getEditDistance(a, b) {
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+      previous[j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
@@ -0,0 +1,254 @@
+import Util from '../speak-the-words-util';
+
+// Characters of the pattern syntax, see AnswerPattern
+const SYNTAX = /[()\[\]|]|(^|\s)[*#](?=\s|$)/;
+
+// Placeholders for any words and any number
+const PLACEHOLDER = /(^|\s)[*#](?=\s|$)/;
+
+/**
+ * Answer pattern
+ * An accepted answer written with a pattern syntax, so a single answer can
+ * cover variants of what the user may say:
+ * - (words) are optional, "I am (very) happy"
+ * - [a|b] are alternatives, "[I am|I'm] happy"
+ * - * stands for one or more words, "my name is *"
+ * - # stands for any number, "I am # years old"
+ *
+ * Numbers written in the answer match whether the speech engine heard
+ * them as digits or as words, see SpokenForms.
+ *
+ * Groups can not be nested, and * and # only have their meaning when
+ * written as separate words.
+ */
+export default class AnswerPattern {
+
+  /**
+   * Compiles pattern for matching prepared responses.
+   *
+   * @param {string} text Pattern as written by the author
+   * @param {function} prepare Prepares text for comparison, see AnswerMatcher
+   */
+  constructor(text, prepare) {
+    this.text = text;
+    this.prepare = prepare;
+    this.tokens = AnswerPattern.parse(text).tokens;
+    this.regExp = new RegExp('^' + this.tokens.map(this.compileToken.bind(this)).join('') + '$');
+  }
+
+  /**
+   * Check if a response matches the pattern.
+   *
+   * @param {string} prepared Response prepared for comparison
+   * @return {boolean} True if the response matches
+   */
+  test(prepared) {
+    const words = prepared.split(/\s+/).filter(word => word);
+    return this.regExp.test(words.map(word => word + ' ').join(''));
+  }
+
+  /**
+   * Get an example of an answer matching the pattern, for showing the
+   * solution and comparing with responses that do not match.
+   *
+   * @return {string} Example answer
+   */
+  getExample() {
+    return AnswerPattern.getExample(this.text);
+  }
+
+  /**
+   * Check if the pattern has placeholders for any words or any number,
+   * which leave its example with words that can not be spoken.
+   *
+   * @return {boolean} True if there are placeholders
+   */
+  hasPlaceholders() {
+    return PLACEHOLDER.test(this.text);
+  }
+
+  /**
+   * Compile token into a regular expression matching whole words,
+   * each followed by a space.
+   *
+   * @param {Object} token Token as parsed, see parse()
+   * @return {string} Regular expression source
+   */
+  compileToken(token) {
+    switch (token.type) {
+      case 'optional':
+        return '(?:' + this.compileWords(token.parts[0]) + ')?';
+      case 'alternatives':
+        return '(?:' + token.parts.map(this.compileWords.bind(this)).join('|') + ')';
+      default:
+        return this.compileWords(token.parts[0]);
+    }
+  }
+
+  /**
+   * Compile words into a regular expression, with placeholders for
+   * any words and any number.
+   *
+   * @param {string} text Words as written by the author
+   * @return {string} Regular expression source
+   */
+  compileWords(text) {
+    let source = '';
+    let literal = [];
+    const flush = () => {
+      // Words are prepared together, so numbers spanning several words are kept whole
+      source += this.prepare(literal.join(' ')).split(/\s+/)
+        .filter(word => word)
+        .map(word => Util.escapeRegExp(word) + ' ')
+        .join('');
+      literal = [];
+    };
+
+    text.split(/\s+/).forEach(word => {
+      if (word === '*' || word === '#') {
+        flush();
+        source += word === '*' ? '(?:\\S+ )+' : '(?:\\d+ )+';
+      }
+      else {
+        literal.push(word);
+      }
+    });
+    flush();
+
+    return source;
+  }
+
+  /**
+   * Check if an accepted answer uses the pattern syntax.
+   *
+   * @param {string} text Accepted answer
+   * @return {boolean} True if the answer is a pattern
+   */
+  static isPattern(text) {
+    return SYNTAX.test(text);
+  }
+
+  /**
+   * Remove the pattern syntax from text that is meant literally, like a
+   * passage to read aloud. Brackets and bars are removed within words, so
+   * the text keeps its words.
+   *
+   * @param {string} text Text that may look like a pattern
+   * @return {string} Text that is not a pattern
+   */
+  static toLiteral(text) {
+    return text
+      .replace(/[()\[\]|]/g, '')
+      .replace(/(^|\s)[*#](?=\s|$)/g, '$1');
+  }
+
+  /**
+   * Check if a pattern is written correctly.
+   *
+   * @param {string} text Pattern
+   * @return {string|null} Code of the first mistake, null if there is none:
+   *  'unclosed', 'unopened', 'nested', 'empty-group',
+   *  'alternatives-outside' or 'nothing-required'
+   */
+  static validate(text) {
+    return AnswerPattern.parse(text).error;
+  }
+
+  /**
+   * Get an example of an answer matching a pattern: the first of each
+   * group of alternatives, with optional words and placeholders.
+   *
+   * @param {string} text Pattern
+   * @return {string} Example answer
+   */
+  static getExample(text) {
+    return AnswerPattern.parse(text).tokens.map(token => token.parts[0])
+      .join('')
+      .replace(/(^|\s)\*(?=\s|$)/g, '$1…')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split pattern into text, optional words and alternatives.
+   *
+   * @param {string} text Pattern
+   * @return {Object} Tokens as {type, parts}, and the code of the first
+   *  mistake found, see validate()
+   */
+  static parse(text) {
+    const tokens = [];
+    let error = null;
+    let group = null;
+    let part = '';
+
+    const fail = (code) => {
+      error = error || code;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '(' || char === '[') {
+        if (group) {
+          fail('nested');
+          continue;
+        }
+        tokens.push({type: 'text', parts: [part]});
+        group = {type: char === '(' ? 'optional' : 'alternatives', parts: [], close: char === '(' ? ')' : ']'};
+        part = '';
+      }
+      else if (char === ')' || char === ']') {
+        if (!group) {
+          fail('unopened');
+          continue;
+        }
+        if (char !== group.close) {
+          fail('unclosed');
+        }
+        group.parts.push(part);
+        tokens.push({type: group.type, parts: group.parts});
+        group = null;
+        part = '';
+      }
+      else if (char === '|') {
+        if (!group || group.type !== 'alternatives') {
+          fail('alternatives-outside');
+          continue;
+        }
+        group.parts.push(part);
+        part = '';
+      }
+      else {
+        part += char;
+      }
+    }
+
+    if (group) {
+      fail('unclosed');
+      group.parts.push(part);
+      tokens.push({type: group.type, parts: group.parts});
+    }
+    else {
+      tokens.push({type: 'text', parts: [part]});
+    }
+
+    const hasWords = part => /[^\s.,\/!$%\^&;:{}=\-_`~"?¿¡«»“”„…]/.test(part);
+    tokens.forEach(token => {
+      if (token.type !== 'text' && !token.parts.every(hasWords)) {
+        fail('empty-group');
+      }
+    });
+
+    const required = tokens.some(token => {
+      return token.type === 'alternatives' || (token.type === 'text' && hasWords(token.parts[0]));
+    });
+    if (!required) {
+      fail('nothing-required');
+    }
+
+    return {
+      tokens: tokens.filter(token => token.type !== 'text' || token.parts[0] !== ''),
+      error: error
+    };
+  }
+}
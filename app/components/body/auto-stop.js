@@ -0,0 +1,81 @@
+import Util from '../speak-the-words-util';
+
+// How often to check whether listening should stop, in milliseconds
+const CHECK_INTERVAL = 100;
+
+/**
+ * Auto stop
+ * Stops listening once the user has been silent for a while, or has been
+ * speaking for longer than allowed.
+ */
+export default class AutoStop {
+
+  /**
+   * Initializes auto stop, waiting for the user to start speaking.
+   *
+   * @param {Object} eventStore A central store for events
+   * @param {Object} options
+   * @param {number} options.silenceTimeout Seconds of silence before stopping
+   * @param {number} options.maxDuration Seconds of listening before stopping
+   * @param {function} getAnalyser
+   *  Returns the AnalyserNode of the microphone input, if any
+   */
+  constructor(eventStore, options, getAnalyser) {
+    this.eventStore = eventStore;
+    this.silenceTimeout = options.silenceTimeout * 1000;
+    this.maxDuration = options.maxDuration * 1000;
+    this.getAnalyser = getAnalyser;
+    this.interval = null;
+
+    this.eventStore.on('start-listening', this.start.bind(this));
+    this.eventStore.on('interim-result', () => {
+      this.lastSound = Date.now();
+    });
+
+    const stop = this.stop.bind(this);
+    ['stop-listening', 'stop-all-media', 'answered-correctly', 'answered-wrong',
+      'speech-error', 'reset-task'].forEach(type => {
+      this.eventStore.on(type, stop);
+    });
+  }
+
+  /**
+   * Start timing the silence and duration of listening.
+   */
+  start() {
+    this.stop();
+    this.startedAt = Date.now();
+    this.lastSound = this.startedAt;
+    this.interval = setInterval(this.check.bind(this), CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop timing.
+   */
+  stop() {
+    if (this.interval !== null) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Stop listening if the user has been silent or speaking for too long.
+   * Sound picked up by the microphone and interim results both count as
+   * the user speaking.
+   */
+  check() {
+    const now = Date.now();
+    const analyser = this.getAnalyser();
+    if (analyser && Util.isSound(Util.getInputLevel(analyser))) {
+      this.lastSound = now;
+    }
+
+    const silent = this.silenceTimeout && now - this.lastSound >= this.silenceTimeout;
+    const expired = this.maxDuration && now - this.startedAt >= this.maxDuration;
+    if (silent || expired) {
+      this.stop();
+      this.eventStore.trigger('stop-listening');
+    }
+  }
+}
@@ -0,0 +1,95 @@
+import React from 'react';
+import './styles/dialogue-history.css';
+import {decode} from 'he';
+import ListenButton from './listen-button';
+
+/**
+ * Dialogue history component
+ * Shows the turns of a dialogue up to the current one, each with the line
+ * of the partner and the reply of the user once given.
+ *
+ * Props:
+ * - turns: turns so far, as {line, sources, response, result} where sources
+ *   are recordings of the line and result is one of Prompt.getResult
+ * - current: index of the current turn
+ * - autoPlay: whether to play the line of the current turn once shown
+ * - language: language the lines are spoken in
+ * - eventStore: a central store for events
+ * - l10n: translations
+ */
+export default class DialogueHistory extends React.Component {
+
+  /**
+   * Renders the line of the partner in a turn.
+   *
+   * @param {Object} turn
+   * @param {number} index Index of the turn
+   * @return {String} JSX component
+   */
+  renderLine(turn, index) {
+    const l10n = this.props.l10n;
+    const line = decode(turn.line || '');
+
+    return (
+      <div className="h5p-speak-the-words-dialogue-line">
+        <span className="h5p-speak-the-words-hidden-but-read">
+          {decode(l10n.dialoguePartnerLabel) + ':'}
+        </span>
+        <span className="h5p-speak-the-words-dialogue-text">{line}</span>
+        <ListenButton
+          text={line}
+          sources={turn.sources}
+          language={this.props.language}
+          label={decode(l10n.a11yListenLine)}
+          autoPlay={this.props.autoPlay && index === this.props.current}
+          eventStore={this.props.eventStore}
+          l10n={l10n}
+        />
+      </div>
+    );
+  }
+
+  /**
+   * Renders the reply of the user in a turn, if any.
+   *
+   * @param {Object} turn
+   * @return {String|null} JSX component
+   */
+  renderReply(turn) {
+    if (turn.result === 'unanswered') {
+      return null;
+    }
+
+    return (
+      <div className={'h5p-speak-the-words-dialogue-reply ' + turn.result}>
+        <span className="h5p-speak-the-words-hidden-but-read">
+          {decode(this.props.l10n.dialogueUserLabel) + ':'}
+        </span>
+        <span className="h5p-speak-the-words-dialogue-text">{turn.response}</span>
+      </div>
+    );
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    return (
+      <ol className="h5p-speak-the-words-dialogue" aria-live="polite">
+        {this.props.turns.map((turn, index) => {
+          const className = 'h5p-speak-the-words-dialogue-turn'
+            + (index === this.props.current ? ' current' : '');
+
+          return (
+            <li key={index} className={className}>
+              {this.renderLine(turn, index)}
+              {this.renderReply(turn)}
+            </li>
+          );
+        })}
+      </ol>
+    );
+  }
+}
@@ -0,0 +1,202 @@
+import React from 'react';
+import './styles/listen-button.css';
+import {decode} from 'he';
+
+/**
+ * Listen button component
+ * Plays how an answer should sound, using the recording attached by the
+ * author when there is one, and speech synthesis in the input language
+ * otherwise.
+ *
+ * Props:
+ * - text: the answer to pronounce, if it can be read aloud
+ * - sources: recordings of the answer, as {src, type}, if any
+ * - language: language the answer is spoken in
+ * - label: accessible label of the button
+ * - autoPlay: whether to start playing once shown
+ * - eventStore: a central store for events
+ * - l10n: translations
+ */
+export default class ListenButton extends React.Component {
+
+  /**
+   * Initializes component without anything playing.
+   * Stops playing whenever other media starts.
+   *
+   * @param {Object} props
+   */
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      playing: false
+    };
+    this.audio = null;
+
+    this.stop = this.stop.bind(this);
+    props.eventStore.on('stop-all-media', this.stop);
+    props.eventStore.on('start-listening', this.stop);
+    props.eventStore.on('play-pronunciation', this.stop);
+  }
+
+  /**
+   * Start playing right away if asked to.
+   */
+  componentDidMount() {
+    if (this.props.autoPlay && this.canPlay()) {
+      this.toggle();
+    }
+  }
+
+  /**
+   * Stop playing when the component is removed.
+   */
+  componentWillUnmount() {
+    if (this.state.playing) {
+      this.stopMedia();
+    }
+    this.props.eventStore.off('stop-all-media', this.stop);
+    this.props.eventStore.off('start-listening', this.stop);
+    this.props.eventStore.off('play-pronunciation', this.stop);
+  }
+
+  /**
+   * Check if the answer can be played at all.
+   *
+   * @return {boolean} True if there is a recording, or text to read aloud
+   *  with speech synthesis
+   */
+  canPlay() {
+    return this.hasRecording() || (!!this.props.text && ListenButton.hasSpeechSynthesis());
+  }
+
+  /**
+   * Check if the author has attached a recording of the answer.
+   *
+   * @return {boolean} True if there is a recording
+   */
+  hasRecording() {
+    return !!(this.props.sources && this.props.sources.length);
+  }
+
+  /**
+   * Start or stop playing the answer.
+   */
+  toggle() {
+    if (this.state.playing) {
+      this.stop();
+      return;
+    }
+
+    // Only one answer should be heard at a time
+    this.props.eventStore.trigger('play-pronunciation');
+
+    if (this.hasRecording()) {
+      this.playRecording();
+    }
+    else {
+      this.speak();
+    }
+  }
+
+  /**
+   * Play the recording attached by the author.
+   */
+  playRecording() {
+    const audio = document.createElement('audio');
+    const source = this.props.sources.filter(source => {
+      return !source.type || audio.canPlayType(source.type);
+    })[0] || this.props.sources[0];
+
+    const recording = new Audio(source.src);
+    recording.onended = this.stop;
+    recording.onerror = this.stop;
+    this.audio = recording;
+    const playing = recording.play();
+    this.setState({playing: true});
+
+    // Browsers may refuse to play, e.g. before the user has interacted with the page
+    if (playing && playing.catch) {
+      playing.catch(() => {
+        if (this.audio === recording) {
+          this.stop();
+        }
+      });
+    }
+  }
+
+  /**
+   * Pronounce the answer with speech synthesis.
+   */
+  speak() {
+    const utterance = new window.SpeechSynthesisUtterance(this.props.text);
+    utterance.lang = this.props.language;
+    utterance.onend = this.stop;
+    utterance.onerror = this.stop;
+
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+    this.setState({playing: true});
+  }
+
+  /**
+   * Stop playing the answer.
+   */
+  stop() {
+    if (!this.state.playing) {
+      return;
+    }
+
+    this.stopMedia();
+    this.setState({playing: false});
+  }
+
+  /**
+   * Stop the recording or speech synthesis that is playing.
+   */
+  stopMedia() {
+    if (this.audio) {
+      this.audio.pause();
+      this.audio = null;
+    }
+    else if (ListenButton.hasSpeechSynthesis()) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    if (!this.canPlay()) {
+      return null;
+    }
+
+    const className = 'h5p-speak-the-words-listen'
+      + (this.state.playing ? ' h5p-playing' : '');
+
+    return (
+      <button
+        type="button"
+        className={className}
+        aria-label={this.props.label}
+        aria-pressed={this.state.playing}
+        title={this.props.label}
+        onClick={this.toggle.bind(this)}
+      >
+        {decode(this.props.l10n.listenLabel)}
+      </button>
+    );
+  }
+
+  /**
+   * Check if the browser supports speech synthesis.
+   *
+   * @return {boolean} True if speech synthesis is supported
+   */
+  static hasSpeechSynthesis() {
+    return !!(window.speechSynthesis && window.SpeechSynthesisUtterance);
+  }
+}
@@ -0,0 +1,151 @@
+import React from 'react';
+import './styles/listening-status.css';
+import {decode} from 'he';
+import Util from '../speak-the-words-util';
+
+/**
+ * Listening status component
+ * While listening, shows how loud the microphone input is and what has been
+ * recognized so far, so the user can tell that they are being heard.
+ */
+export default class ListeningStatus extends React.Component {
+
+  /**
+   * Initializes component without listening.
+   *
+   * @param {Object} props
+   * @param {Object} props.eventStore A central store for events
+   * @param {function} props.getAnalyser
+   *  Returns the AnalyserNode of the microphone input, if any
+   * @param {SpeakTheWordsTranslations} props.l10n
+   */
+  constructor(props) {
+    super(props);
+
+    this.initialState = {
+      listening: false,
+      level: 0,
+      soundDetected: false,
+      transcript: ''
+    };
+    this.state = this.initialState;
+    this.frame = null;
+
+    this.updateLevel = this.updateLevel.bind(this);
+    this.stop = this.stop.bind(this);
+
+    props.eventStore.on('start-listening', this.start.bind(this));
+    props.eventStore.on('interim-result', (e) => {
+      if (this.state.listening) {
+        this.setState({transcript: e.data});
+      }
+    });
+    ['stop-listening', 'stop-all-media', 'answered-correctly', 'answered-wrong',
+      'speech-error', 'reset-task'].forEach(type => {
+      props.eventStore.on(type, this.stop);
+    });
+  }
+
+  /**
+   * Stop measuring the input level when the component is removed.
+   */
+  componentWillUnmount() {
+    this.cancelFrame();
+  }
+
+  /**
+   * Start showing the listening status.
+   */
+  start() {
+    this.setState({
+      listening: true,
+      level: 0,
+      soundDetected: false,
+      transcript: ''
+    });
+    this.cancelFrame();
+    this.frame = window.requestAnimationFrame(this.updateLevel);
+  }
+
+  /**
+   * Stop showing the listening status.
+   */
+  stop() {
+    this.cancelFrame();
+    if (this.state.listening) {
+      this.setState(this.initialState);
+    }
+  }
+
+  /**
+   * Stop measuring the input level.
+   */
+  cancelFrame() {
+    if (this.frame !== null) {
+      window.cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Measure the input level, repeating every frame while listening.
+   */
+  updateLevel() {
+    const analyser = this.props.getAnalyser();
+    if (analyser) {
+      const level = Util.getInputLevel(analyser);
+      this.setState({
+        level: level,
+        soundDetected: this.state.soundDetected || Util.isSound(level)
+      });
+    }
+    this.frame = window.requestAnimationFrame(this.updateLevel);
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    if (!this.state.listening) {
+      return null;
+    }
+
+    const l10n = this.props.l10n;
+    const percentage = Math.round(this.state.level * 100);
+
+    let transcript = null;
+    if (this.state.transcript) {
+      transcript = (
+        <div className="h5p-speak-the-words-interim-transcript">
+          {this.state.transcript}
+        </div>
+      );
+    }
+
+    return (
+      <div className="h5p-speak-the-words-listening-status">
+        <div
+          className="h5p-speak-the-words-level"
+          role="progressbar"
+          aria-label={decode(l10n.a11yInputLevel)}
+          aria-valuemin="0"
+          aria-valuemax="100"
+          aria-valuenow={percentage}
+        >
+          <div
+            className={'h5p-speak-the-words-level-bar' + (this.state.soundDetected ? ' sound-detected' : '')}
+            style={{width: percentage + '%'}}
+          />
+        </div>
+        <div aria-live="polite">
+          <span className="h5p-speak-the-words-hidden-but-read">
+            {decode(this.state.soundDetected ? l10n.a11ySoundDetected : l10n.a11yNoSoundDetected)}
+          </span>
+          {transcript}
+        </div>
+      </div>
+    );
+  }
+}
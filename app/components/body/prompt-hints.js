@@ -0,0 +1,36 @@
+import React from 'react';
+import './styles/prompt-hints.css';
+import {decode} from 'he';
+
+/**
+ * Prompt hints component
+ * Shows the hints the user has unlocked by failed attempts,
+ * announcing new ones as they are revealed.
+ *
+ * Props:
+ * - hints: hints revealed so far
+ * - l10n: translations
+ */
+export default class PromptHints extends React.Component {
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    return (
+      <div className="h5p-speak-the-words-hints" aria-live="polite">
+        {this.props.hints.map((hint, index) => {
+          return (
+            <div key={index} className="h5p-speak-the-words-hint">
+              <span className="h5p-speak-the-words-hint-label">
+                {decode(this.props.l10n.hintLabel)}
+              </span> {hint}
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,73 @@
+import React from 'react';
+import './styles/prompt-progress.css';
+import {decode} from 'he';
+
+/**
+ * Prompt progress component
+ * Shows which prompt of a speaking drill the user is at,
+ * and the result of each prompt answered so far.
+ *
+ * Props:
+ * - current: index of the current prompt
+ * - results: result of each prompt, see Prompt.getResult
+ * - l10n: translations
+ */
+export default class PromptProgress extends React.Component {
+
+  /**
+   * Get text describing the result of a prompt.
+   *
+   * @param {string} result One of 'unanswered', 'correct', 'partial' or 'incorrect'
+   * @return {string} Translated result
+   */
+  getResultText(result) {
+    const l10n = this.props.l10n;
+    switch (result) {
+      case 'correct':
+        return l10n.promptCorrect;
+      case 'partial':
+        return l10n.promptPartiallyCorrect;
+      case 'incorrect':
+        return l10n.promptIncorrect;
+      default:
+        return l10n.promptUnanswered;
+    }
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    const l10n = this.props.l10n;
+    const progressText = decode(l10n.promptProgress)
+      .replace(/@current/g, this.props.current + 1)
+      .replace(/@total/g, this.props.results.length);
+
+    return (
+      <div className="h5p-speak-the-words-progress">
+        <div className="h5p-speak-the-words-progress-text" aria-live="polite">
+          {progressText}
+        </div>
+        <ol className="h5p-speak-the-words-progress-results">
+          {this.props.results.map((result, index) => {
+            const className = 'h5p-speak-the-words-progress-result ' + result
+              + (index === this.props.current ? ' current' : '');
+            const resultText = decode(l10n.a11yPromptResult)
+              .replace(/@index/g, index + 1)
+              .replace(/@result/g, decode(this.getResultText(result)));
+
+            return (
+              <li key={index} className={className} title={resultText}>
+                <span className="h5p-speak-the-words-hidden-but-read">
+                  {resultText}
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,134 @@
+import React from 'react';
+import './styles/reading-passage.css';
+import {decode} from 'he';
+import Util from '../speak-the-words-util';
+
+/**
+ * Reading passage component
+ * Shows the passage the user reads aloud, highlighting the words as they
+ * are read. Once the user has finished reading, words that were misread
+ * or skipped are marked too.
+ */
+export default class ReadingPassage extends React.Component {
+
+  /**
+   * Initializes component with nothing read.
+   *
+   * @param {Object} props
+   * @param {Object} props.eventStore A central store for events
+   * @param {string} props.passage Passage to read aloud
+   * @param {AnswerMatcher} props.answerMatcher
+   * Matcher used for following what was heard through the passage
+   * @param {SpeakTheWordsTranslations} props.l10n
+   */
+  constructor(props) {
+    super(props);
+
+    this.initialState = {
+      response: '',
+      finished: false
+    };
+    this.state = this.initialState;
+
+    const finish = (e) => {
+      this.setState({response: e.data[0] || '', finished: true});
+    };
+
+    this.removeListeners = Util.listenTo(props.eventStore, {
+      'start-listening': () => {
+        this.setState(this.initialState);
+      },
+      'reset-task': () => {
+        this.setState(this.initialState);
+      },
+      'interim-result': (e) => {
+        this.setState({response: e.data, finished: false});
+      },
+      'answered-correctly': finish,
+      'answered-wrong': finish,
+      'restore-state': (e) => {
+        finish({data: e.data.userAnswers});
+      }
+    });
+  }
+
+  /**
+   * Stop listening to events when the component is removed.
+   */
+  componentWillUnmount() {
+    this.removeListeners();
+  }
+
+  /**
+   * Get text read by assistive technologies for a word that was not read
+   * correctly.
+   *
+   * @param {Object} part Word of the passage, see AnswerMatcher.getReading()
+   * @return {string|null} Description of the word, null if it needs none
+   */
+  getReadableText(part) {
+    const l10n = this.props.l10n;
+
+    switch (part.type) {
+      case 'misread':
+        return decode(l10n.a11yMisreadWord).replace(/@word/g, part.text);
+      case 'skipped':
+        return decode(l10n.a11ySkippedWord).replace(/@word/g, part.text);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Renders a single part of the passage.
+   *
+   * @param {Object} part Part of the passage, see AnswerMatcher.getReading()
+   * @param {number} index Position of the part
+   * @return {String} JSX component
+   */
+  renderPart(part, index) {
+    if (part.type === null) {
+      return part.text;
+    }
+
+    // Words the user did not get to count as skipped once finished
+    let type = part.type;
+    if (type === 'unread' && this.state.finished) {
+      type = 'skipped';
+    }
+    else if (type !== 'read' && !this.state.finished) {
+      type = 'unread';
+    }
+
+    const readableText = this.getReadableText({text: part.text, type: type});
+    if (!readableText) {
+      return (
+        <span key={index} className={'h5p-speak-the-words-passage-word ' + type}>
+          {part.text}
+        </span>
+      );
+    }
+
+    return (
+      <span key={index} className={'h5p-speak-the-words-passage-word ' + type}>
+        <span className="h5p-speak-the-words-hidden-but-read">{readableText}</span>
+        <span aria-hidden="true">{part.text}</span>
+      </span>
+    );
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    const parts = this.props.answerMatcher.getReading(this.state.response, this.props.passage);
+
+    return (
+      <div className="h5p-speak-the-words-passage">
+        {parts.map(this.renderPart.bind(this))}
+      </div>
+    );
+  }
+}
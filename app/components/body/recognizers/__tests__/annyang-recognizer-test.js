@@ -0,0 +1,141 @@
+jest.unmock('../annyang-recognizer');
+jest.unmock('../recognizer');
+
+import AnnyangRecognizer from '../annyang-recognizer';
+
+describe('Annyang Recognizer', () => {
+  let callbacks;
+
+  beforeEach(() => {
+    callbacks = {};
+    window.annyang = {
+      addCallback: jest.fn((type, callback) => {
+        callbacks[type] = callback;
+      }),
+      addCommands: jest.fn(),
+      removeCommands: jest.fn(),
+      setLanguage: jest.fn(),
+      start: jest.fn(),
+      abort: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    delete window.annyang;
+  });
+
+  const createRecognizer = () => {
+    const recognizer = new AnnyangRecognizer();
+    recognizer.setPhrases(['Hola']);
+    recognizer.start();
+    return recognizer;
+  };
+
+  it('should report expected phrases heard as commands', () => {
+    const recognizer = createRecognizer();
+    const result = jest.fn();
+    recognizer.on('result', result);
+
+    window.annyang.addCommands.mock.calls[0][0]['Hola'].callback();
+    expect(result).toHaveBeenCalledWith({type: 'result', data: ['Hola']});
+  });
+
+  it('should report expected phrases as they were heard', () => {
+    const recognizer = createRecognizer();
+    const result = jest.fn();
+    recognizer.on('result', result);
+
+    recognizer.setAlternatives([{transcript: 'ola', confidence: 0.9}, {transcript: 'hola', confidence: 0.8}]);
+    window.annyang.addCommands.mock.calls[0][0]['Hola'].callback();
+    expect(result).toHaveBeenCalledWith({type: 'result', data: ['hola']});
+  });
+
+  it('should match phrases literally', () => {
+    const recognizer = new AnnyangRecognizer();
+    recognizer.setPhrases(['Qué (tal)?']);
+    recognizer.start();
+
+    const command = window.annyang.addCommands.mock.calls[0][0]['Qué (tal)?'];
+    expect(command.regexp.test('qué (tal)?')).toBe(true);
+    expect(command.regexp.test('qué')).toBe(false);
+  });
+
+  it('should report interim results before annyang parses them', () => {
+    const recognition = {onresult: jest.fn()};
+    window.annyang.getSpeechRecognizer = () => recognition;
+    const recognizer = createRecognizer();
+    const interim = jest.fn();
+    recognizer.on('interim', interim);
+
+    const result = [{transcript: 'ho'}];
+    recognition.onresult({resultIndex: 0, results: [result]});
+    expect(interim).toHaveBeenCalledWith({type: 'interim', data: 'ho'});
+
+    result.isFinal = true;
+    recognition.onresult({resultIndex: 0, results: [result]});
+    expect(interim).toHaveBeenCalledTimes(1);
+    expect(recognition.interimResults).toBe(true);
+  });
+
+  it('should keep the confidence annyang drops', () => {
+    const recognition = {onresult: jest.fn()};
+    window.annyang.getSpeechRecognizer = () => recognition;
+    const recognizer = createRecognizer();
+    const noMatch = jest.fn();
+    recognizer.on('no-match', noMatch);
+
+    const result = [{transcript: 'ola', confidence: 0.6}, {transcript: 'hora', confidence: 0.3}];
+    result.isFinal = true;
+    recognition.onresult({resultIndex: 0, results: [result]});
+    callbacks.resultNoMatch(['ola', 'hora']);
+
+    expect(noMatch).toHaveBeenCalledWith({type: 'no-match', data: ['ola', 'hora']});
+    expect(recognizer.getAlternatives()).toEqual(result.slice());
+  });
+
+  it('should report errors', () => {
+    const recognizer = createRecognizer();
+    const error = jest.fn();
+    recognizer.on('error', error);
+
+    callbacks.error({error: 'network', message: 'Offline'});
+    callbacks.error({error: 'not-allowed'});
+    callbacks.error({error: 'no-speech'});
+    expect(error.mock.calls.map(call => call[0].data.error))
+      .toEqual(['network', 'not-allowed', 'no-speech']);
+  });
+
+  it('should ignore errors when not active', () => {
+    const recognizer = createRecognizer();
+    const error = jest.fn();
+    recognizer.on('error', error);
+
+    callbacks.error({error: 'aborted'});
+    recognizer.abort();
+    callbacks.error({error: 'network'});
+    expect(error).not.toHaveBeenCalled();
+  });
+
+  it('should keep matching what was heard when stopped', () => {
+    const recognition = {onresult: jest.fn(), stop: jest.fn()};
+    window.annyang.getSpeechRecognizer = () => recognition;
+    const recognizer = createRecognizer();
+    const result = jest.fn();
+    const stop = jest.fn();
+    recognizer.on('result', result);
+    recognizer.on('stop', stop);
+
+    recognizer.stop();
+    expect(window.annyang.start).toHaveBeenLastCalledWith({autoRestart: false});
+    expect(recognition.stop).toHaveBeenCalled();
+    expect(window.annyang.abort).not.toHaveBeenCalled();
+
+    window.annyang.addCommands.mock.calls[0][0]['Hola'].callback();
+    expect(result).toHaveBeenCalled();
+    expect(stop).not.toHaveBeenCalled();
+
+    callbacks.end();
+    expect(stop).toHaveBeenCalled();
+    expect(window.annyang.removeCommands).toHaveBeenCalled();
+  });
+});
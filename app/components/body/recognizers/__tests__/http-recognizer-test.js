@@ -0,0 +1,73 @@
+jest.unmock('../http-recognizer');
+jest.unmock('../recognizer');
+
+import HttpRecognizer from '../http-recognizer';
+
+describe('HTTP Recognizer', () => {
+  let grant;
+  let recorder;
+
+  beforeEach(() => {
+    recorder = null;
+    navigator.mediaDevices = {
+      getUserMedia: jest.fn(() => new Promise(resolve => {
+        grant = resolve;
+      }))
+    };
+    window.MediaRecorder = function () {
+      recorder = this;
+      this.state = 'inactive';
+      this.start = jest.fn(() => {
+        this.state = 'recording';
+      });
+      this.stop = jest.fn(() => {
+        this.state = 'inactive';
+        this.onstop();
+      });
+    };
+  });
+
+  afterEach(() => {
+    delete navigator.mediaDevices;
+    delete window.MediaRecorder;
+  });
+
+  const createStream = () => {
+    const track = {stop: jest.fn()};
+    return {track: track, getTracks: () => [track]};
+  };
+
+  it('should start recording once the microphone can be used', () => {
+    const recognizer = new HttpRecognizer('https://example.com/recognize');
+    const start = jest.fn();
+    recognizer.on('start', start);
+
+    recognizer.start();
+    const stream = createStream();
+    grant(stream);
+
+    return Promise.resolve().then(() => {
+      expect(recorder.start).toHaveBeenCalled();
+      expect(start).toHaveBeenCalled();
+      expect(stream.track.stop).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should not record when stopped before the microphone can be used', () => {
+    const recognizer = new HttpRecognizer('https://example.com/recognize');
+    const stop = jest.fn();
+    recognizer.on('stop', stop);
+
+    recognizer.start();
+    recognizer.stop();
+    expect(stop).toHaveBeenCalled();
+
+    const stream = createStream();
+    grant(stream);
+
+    return Promise.resolve().then(() => {
+      expect(recorder).toBeNull();
+      expect(stream.track.stop).toHaveBeenCalled();
+    });
+  });
+});
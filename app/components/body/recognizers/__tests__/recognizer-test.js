@@ -0,0 +1,68 @@
+jest.unmock('../recognizer');
+
+import Recognizer from '../recognizer';
+
+describe('Recognizer', () => {
+  const listen = (recognizer, type) => {
+    const listener = jest.fn();
+    recognizer.on(type, listener);
+    return listener;
+  };
+
+  it('should report an expected phrase as a result, ignoring case', () => {
+    const recognizer = new Recognizer();
+    recognizer.setPhrases(['Buenos días', 'Hola']);
+    const result = listen(recognizer, 'result');
+
+    recognizer.handleAlternatives(['ola', ' hola ']);
+    expect(result).toHaveBeenCalledWith({type: 'result', data: ['hola']});
+  });
+
+  it('should report anything else as no match', () => {
+    const recognizer = new Recognizer();
+    recognizer.setPhrases(['Hola']);
+    const noMatch = listen(recognizer, 'no-match');
+
+    recognizer.handleAlternatives(['ola', '', 'hora']);
+    expect(noMatch).toHaveBeenCalledWith({type: 'no-match', data: ['ola', 'hora']});
+  });
+
+  it('should keep the confidence of what was heard', () => {
+    const recognizer = new Recognizer();
+    recognizer.setPhrases(['Hola']);
+    const result = listen(recognizer, 'result');
+
+    recognizer.handleAlternatives([
+      {transcript: 'hola ', confidence: 0.9},
+      {transcript: '', confidence: 0.2},
+      'ola'
+    ]);
+    expect(result).toHaveBeenCalledWith({type: 'result', data: ['hola']});
+    expect(recognizer.getAlternatives()).toEqual([
+      {transcript: 'hola', confidence: 0.9},
+      {transcript: 'ola', confidence: null}
+    ]);
+  });
+
+  it('should report hearing nothing as an error', () => {
+    const recognizer = new Recognizer();
+    const error = listen(recognizer, 'error');
+
+    recognizer.handleAlternatives([' ']);
+    expect(error).toHaveBeenCalledWith({type: 'error', data: {error: 'no-speech'}});
+  });
+
+  it('should tell denied access to the microphone from a missing microphone', () => {
+    expect(Recognizer.getMediaErrorCode({name: 'NotAllowedError'})).toEqual('not-allowed');
+    expect(Recognizer.getMediaErrorCode({name: 'NotFoundError'})).toEqual('audio-capture');
+  });
+
+  it('should stop notifying removed listeners', () => {
+    const recognizer = new Recognizer();
+    const listener = listen(recognizer, 'start');
+
+    recognizer.off('start', listener);
+    recognizer.trigger('start');
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
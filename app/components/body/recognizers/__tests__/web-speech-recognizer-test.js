@@ -0,0 +1,115 @@
+jest.unmock('../web-speech-recognizer');
+jest.unmock('../recognizer');
+
+import WebSpeechRecognizer from '../web-speech-recognizer';
+
+describe('Web Speech Recognizer', () => {
+  let recognition;
+
+  beforeEach(() => {
+    window.webkitSpeechRecognition = function () {
+      recognition = this;
+      this.start = jest.fn();
+      this.stop = jest.fn(() => this.onend());
+      this.abort = jest.fn(() => this.onend());
+    };
+  });
+
+  afterEach(() => {
+    delete window.webkitSpeechRecognition;
+  });
+
+  const getResults = (transcripts, isFinal = true) => {
+    const result = transcripts.map(transcript => ({transcript: transcript}));
+    result.isFinal = isFinal;
+    return {results: [result]};
+  };
+
+  it('should be supported when the browser has speech recognition', () => {
+    expect(WebSpeechRecognizer.isSupported()).toBe(true);
+    delete window.webkitSpeechRecognition;
+    expect(WebSpeechRecognizer.isSupported()).toBe(false);
+  });
+
+  it('should listen in the set language and report alternatives', () => {
+    const recognizer = new WebSpeechRecognizer();
+    const noMatch = jest.fn();
+    recognizer.on('no-match', noMatch);
+    recognizer.setLanguage('es-ES');
+    recognizer.setPhrases(['Hola']);
+    recognizer.start();
+
+    expect(recognition.lang).toEqual('es-ES');
+    expect(recognition.start).toHaveBeenCalled();
+
+    recognition.onresult(getResults(['ola', 'hora']));
+    expect(noMatch).toHaveBeenCalledWith({type: 'no-match', data: ['ola', 'hora']});
+  });
+
+  it('should keep the confidence of each alternative', () => {
+    const recognizer = new WebSpeechRecognizer();
+    recognizer.start();
+
+    const results = getResults(['ola', 'hora']);
+    results.results[0][0].confidence = 0.7;
+    results.results[0][1].confidence = 0.2;
+    recognition.onresult(results);
+    expect(recognizer.getAlternatives()).toEqual([
+      {transcript: 'ola', confidence: 0.7},
+      {transcript: 'hora', confidence: 0.2}
+    ]);
+  });
+
+  it('should report interim results as they are heard', () => {
+    const recognizer = new WebSpeechRecognizer();
+    const interim = jest.fn();
+    const noMatch = jest.fn();
+    recognizer.on('interim', interim);
+    recognizer.on('no-match', noMatch);
+    recognizer.start();
+
+    recognition.onresult(getResults(['buenos'], false));
+    expect(interim).toHaveBeenCalledWith({type: 'interim', data: 'buenos'});
+    expect(noMatch).not.toHaveBeenCalled();
+  });
+
+  it('should keep listening until stopped', () => {
+    const recognizer = new WebSpeechRecognizer();
+    const stop = jest.fn();
+    recognizer.on('stop', stop);
+    recognizer.start();
+
+    recognition.onend();
+    expect(recognition.start).toHaveBeenCalledTimes(2);
+    expect(stop).not.toHaveBeenCalled();
+
+    recognizer.stop();
+    expect(stop).toHaveBeenCalled();
+  });
+
+  it('should report errors', () => {
+    const recognizer = new WebSpeechRecognizer();
+    const error = jest.fn();
+    recognizer.on('error', error);
+    recognizer.start();
+
+    recognition.onerror({error: 'not-allowed', message: 'Denied'});
+    expect(error).toHaveBeenCalledWith({
+      type: 'error',
+      data: {error: 'not-allowed', message: 'Denied'}
+    });
+
+    recognition.onerror({error: 'no-speech'});
+    expect(error).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not report being aborted as an error', () => {
+    const recognizer = new WebSpeechRecognizer();
+    const error = jest.fn();
+    recognizer.on('error', error);
+    recognizer.start();
+
+    recognition.onerror({error: 'aborted'});
+    expect(error).not.toHaveBeenCalled();
+  });
+});
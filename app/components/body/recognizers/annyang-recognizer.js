@@ -0,0 +1,163 @@
+import 'annyang';
+import Recognizer from './recognizer';
+import Util from '../../speak-the-words-util';
+
+/**
+ * Annyang recognizer
+ * Recognizes speech through annyang, which wraps the Web Speech API of the
+ * browser and matches expected phrases as commands.
+ */
+export default class AnnyangRecognizer extends Recognizer {
+
+  /**
+   * Initializes recognizer, listening to annyang callbacks.
+   * Annyang is shared by all tasks on the page, so callbacks are only
+   * handled while this recognizer is active.
+   */
+  constructor() {
+    super();
+    this.annyang = window.annyang;
+    this.active = false;
+    this.stopping = false;
+    this.handleResult = null;
+
+    // Prefer the alternatives with confidence kept when intercepting results
+    this.annyang.addCallback('resultNoMatch', (results) => {
+      if (this.active) {
+        this.handleAlternatives(this.alternatives.length ? this.alternatives : results);
+      }
+    });
+
+    // Annyang reports every error here before the more specific callbacks
+    this.annyang.addCallback('error', (event) => {
+      if (!this.active || event.error === 'aborted') {
+        return;
+      }
+      this.trigger('error', {error: event.error, message: event.message});
+    });
+
+    // Speech recognition has ended after being stopped gracefully
+    this.annyang.addCallback('end', () => {
+      if (this.active && this.stopping) {
+        this.stopping = false;
+        this.annyang.removeCommands();
+        this.active = false;
+        this.trigger('stop');
+      }
+    });
+  }
+
+  /**
+   * Start listening for speech, with the expected phrases as commands.
+   */
+  start() {
+    if (this.language) {
+      this.annyang.setLanguage(this.language);
+    }
+    this.annyang.addCommands(this.getCommands());
+    this.enableInterimResults();
+    this.active = true;
+    this.stopping = false;
+    this.alternatives = [];
+    this.annyang.start();
+    this.trigger('start');
+  }
+
+  /**
+   * Let the speech recognition of annyang report interim results.
+   * Annyang treats every result as final, so interim results are
+   * intercepted before they reach it. Final results are intercepted too,
+   * to keep the confidence annyang drops.
+   */
+  enableInterimResults() {
+    const recognition = this.annyang.getSpeechRecognizer && this.annyang.getSpeechRecognizer();
+    if (!recognition || this.handleResult) {
+      return;
+    }
+
+    const parseResult = recognition.onresult;
+    this.handleResult = (event) => {
+      const result = event.results[event.resultIndex];
+      if (result && !result.isFinal) {
+        if (this.active) {
+          this.trigger('interim', result[0].transcript);
+        }
+        return;
+      }
+      if (result && this.active) {
+        this.setAlternatives(Recognizer.getResultAlternatives(result));
+      }
+      return parseResult(event);
+    };
+
+    recognition.interimResults = true;
+    recognition.onresult = this.handleResult;
+  }
+
+  /**
+   * Stop listening, still matching what has been heard so far against the
+   * commands before they are removed.
+   */
+  stop() {
+    const recognition = this.annyang.getSpeechRecognizer && this.annyang.getSpeechRecognizer();
+    if (!this.active || !recognition) {
+      this.abort();
+      return;
+    }
+
+    // Starting again while running only turns off automatic restarts
+    this.stopping = true;
+    this.annyang.start({autoRestart: false});
+    recognition.stop();
+  }
+
+  /**
+   * Stop listening, removing the commands so annyang can be used by
+   * a different task.
+   */
+  abort() {
+    this.stopping = false;
+    this.annyang.removeCommands();
+    this.annyang.abort();
+
+    if (this.active) {
+      this.active = false;
+      this.trigger('stop');
+    }
+  }
+
+  /**
+   * Generate commands from expected phrases.
+   * Phrases are matched literally, as annyang would otherwise treat
+   * characters like parentheses and asterisks as its own syntax.
+   *
+   * @return {Object} Consumable commands for annyang
+   */
+  getCommands() {
+    return this.phrases.reduce((prev, curr) => {
+      const regexp = new RegExp('^' + Util.escapeRegExp(curr.trim()) + '$', 'i');
+      prev[curr] = {
+        regexp: regexp,
+        callback: () => {
+          if (this.active) {
+            // Report the phrase as it was heard, as annyang ignores case
+            const heard = this.alternatives
+              .map(alternative => alternative.transcript)
+              .filter(transcript => regexp.test(transcript))[0];
+            this.trigger('result', [heard || curr]);
+          }
+        }
+      };
+      return prev;
+    }, {});
+  }
+
+  /**
+   * Check if annyang is available in this browser.
+   *
+   * @return {boolean} True if supported
+   */
+  static isSupported() {
+    return !!window.annyang;
+  }
+}
@@ -0,0 +1,34 @@
+import AnnyangRecognizer from './annyang-recognizer';
+import WebSpeechRecognizer from './web-speech-recognizer';
+import HttpRecognizer from './http-recognizer';
+
+/**
+ * Create the speech recognition backend chosen by the author.
+ * When set to 'auto', annyang is preferred, then the Web Speech API, and
+ * the recognition server if one is configured.
+ *
+ * @param {SpeakTheWordsBehaviour} behaviour Behavioural settings
+ * @return {Recognizer|null} Recognizer, or null if the chosen backend is
+ *  not supported by this browser
+ */
+export default function createRecognizer(behaviour) {
+  const endpoint = behaviour.recognizerEndpoint;
+  const useHttp = !!endpoint && HttpRecognizer.isSupported();
+
+  switch (behaviour.recognizer) {
+    case 'annyang':
+      return AnnyangRecognizer.isSupported() ? new AnnyangRecognizer() : null;
+    case 'webSpeech':
+      return WebSpeechRecognizer.isSupported() ? new WebSpeechRecognizer() : null;
+    case 'http':
+      return useHttp ? new HttpRecognizer(endpoint) : null;
+    default:
+      if (AnnyangRecognizer.isSupported()) {
+        return new AnnyangRecognizer();
+      }
+      if (WebSpeechRecognizer.isSupported()) {
+        return new WebSpeechRecognizer();
+      }
+      return useHttp ? new HttpRecognizer(endpoint) : null;
+  }
+}
@@ -0,0 +1,173 @@
+import Recognizer from './recognizer';
+
+/**
+ * HTTP recognizer
+ * Records speech in the browser and sends the recording to a speech
+ * recognition server when the user stops speaking.
+ *
+ * The recording is posted as multipart form data with the fields:
+ * - audio: the recorded audio
+ * - language: language speech is expected in
+ * - phrases: JSON encoded array of expected phrases
+ *
+ * The server must respond with JSON like {"alternatives": ["..."]},
+ * listing transcripts of what was heard, most likely first. Alternatives
+ * may also be given as {"transcript": "...", "confidence": 0.9} to report
+ * how confident the server is in each of them.
+ */
+export default class HttpRecognizer extends Recognizer {
+
+  /**
+   * Initializes recognizer without recording.
+   *
+   * @param {string} endpoint URL of the speech recognition server
+   */
+  constructor(endpoint) {
+    super();
+    this.endpoint = endpoint;
+    this.recorder = null;
+    this.stream = null;
+    this.active = false;
+    this.sending = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * Start recording speech.
+   */
+  start() {
+    this.active = true;
+    this.sending = false;
+    this.cancelled = false;
+    this.alternatives = [];
+
+    navigator.mediaDevices.getUserMedia({audio: true}).then(stream => {
+      this.stream = stream;
+      if (!this.active || this.cancelled) {
+        this.releaseStream();
+        return;
+      }
+
+      const chunks = [];
+      this.recorder = new MediaRecorder(stream);
+      this.recorder.ondataavailable = (event) => {
+        chunks.push(event.data);
+      };
+      this.recorder.onstop = () => {
+        this.releaseStream();
+        if (this.sending) {
+          this.send(new Blob(chunks, {type: this.recorder.mimeType}));
+        }
+      };
+      this.recorder.start();
+      this.trigger('start');
+    }).catch(error => {
+      if (this.active) {
+        this.active = false;
+        this.trigger('error', {
+          error: Recognizer.getMediaErrorCode(error),
+          message: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Stop recording and send what was recorded to the server.
+   * Stopping before the microphone could be used cancels recording.
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    if (this.isRecording()) {
+      this.sending = true;
+      this.recorder.stop();
+      return;
+    }
+
+    this.cancelled = true;
+    this.active = false;
+    this.trigger('stop');
+  }
+
+  /**
+   * Stop recording, discarding what was recorded.
+   */
+  abort() {
+    if (!this.active) {
+      return;
+    }
+
+    this.active = false;
+    this.sending = false;
+    if (this.isRecording()) {
+      this.recorder.stop();
+    }
+    this.trigger('stop');
+  }
+
+  /**
+   * Check if speech is being recorded.
+   *
+   * @return {boolean} True if recording
+   */
+  isRecording() {
+    return !!this.recorder && this.recorder.state !== 'inactive';
+  }
+
+  /**
+   * Stop using the microphone.
+   */
+  releaseStream() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Send recording to the server and report what it heard.
+   *
+   * @param {Blob} blob Recorded speech
+   * @return {Promise} Resolved when the response has been handled
+   */
+  send(blob) {
+    const body = new FormData();
+    body.append('audio', blob);
+    body.append('language', this.language || '');
+    body.append('phrases', JSON.stringify(this.phrases));
+
+    return fetch(this.endpoint, {method: 'POST', body: body}).then(response => {
+      if (!response.ok) {
+        throw new Error(response.status + ' ' + response.statusText);
+      }
+      return response.json();
+    }).then(data => {
+      if (this.sending) {
+        this.handleAlternatives(data.alternatives || []);
+      }
+    }).catch(error => {
+      if (this.sending) {
+        this.trigger('error', {error: 'network', message: error.message});
+      }
+    }).then(() => {
+      if (this.sending) {
+        this.sending = false;
+        this.active = false;
+        this.trigger('stop');
+      }
+    });
+  }
+
+  /**
+   * Check if audio can be recorded and sent in this browser.
+   *
+   * @return {boolean} True if supported
+   */
+  static isSupported() {
+    return !!(window.MediaRecorder && window.fetch && window.FormData &&
+      navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Recognizer
+ * Common interface of the speech recognition backends.
+ *
+ * A recognizer listens for speech once started and reports what it
+ * heard through events, which are passed an event object with the
+ * event data, like the events of the central event store:
+ * - start: the recognizer has started listening
+ * - stop: the recognizer has stopped listening
+ * - interim: speech is being heard, data is the transcript so far,
+ *   for recognizers that support it
+ * - result: one of the expected phrases was heard, data is an array
+ *   holding the phrase
+ * - no-match: something else was heard, data is an array of alternatives
+ * - error: recognition failed, data is {error, message}
+ *
+ * Once a result or no-match has been reported, the alternatives that were
+ * heard are available with the confidence of the recognizer through
+ * getAlternatives().
+ *
+ * Error codes follow the ones of the Web Speech API where possible, such
+ * as 'not-allowed', 'audio-capture', 'no-speech' and 'network'.
+ */
+export default class Recognizer {
+
+  /**
+   * Initializes recognizer without any expected phrases.
+   */
+  constructor() {
+    this.language = null;
+    this.phrases = [];
+    this.alternatives = [];
+    this.listeners = {};
+  }
+
+  /**
+   * Add listener for an event.
+   *
+   * @param {string} type Event type
+   * @param {function} listener Called with an event object when triggered
+   */
+  on(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).concat(listener);
+  }
+
+  /**
+   * Remove listener for an event.
+   *
+   * @param {string} type Event type
+   * @param {function} listener Listener to remove
+   */
+  off(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(other => {
+      return other !== listener;
+    });
+  }
+
+  /**
+   * Notify listeners of an event.
+   *
+   * @param {string} type Event type
+   * @param {*} [data] Event data
+   */
+  trigger(type, data) {
+    (this.listeners[type] || []).forEach(listener => {
+      listener({type: type, data: data});
+    });
+  }
+
+  /**
+   * Set language speech is expected in.
+   *
+   * @param {string} language BCP 47 language tag, e.g. 'en-US'
+   */
+  setLanguage(language) {
+    this.language = language;
+  }
+
+  /**
+   * Set phrases that count as a result when heard.
+   *
+   * @param {Array} phrases Expected phrases
+   */
+  setPhrases(phrases) {
+    this.phrases = phrases;
+  }
+
+  /**
+   * Start listening for speech.
+   */
+  start() {
+    throw new Error('Recognizer must implement start()');
+  }
+
+  /**
+   * Stop listening, still reporting what has been heard so far.
+   */
+  stop() {
+    this.abort();
+  }
+
+  /**
+   * Stop listening right away, discarding anything that has been heard.
+   */
+  abort() {
+    throw new Error('Recognizer must implement abort()');
+  }
+
+  /**
+   * Get alternatives of what was last heard.
+   *
+   * @return {Array} Alternatives as {transcript, confidence}, most likely
+   *  first, confidence being null when the recognizer does not report it
+   */
+  getAlternatives() {
+    return this.alternatives;
+  }
+
+  /**
+   * Remember alternatives of what was heard, dropping empty ones.
+   *
+   * @param {Array} alternatives Transcripts of what was heard, or objects
+   *  as {transcript, confidence}, most likely first
+   * @return {Array} Transcripts of the alternatives kept
+   */
+  setAlternatives(alternatives) {
+    this.alternatives = alternatives.map(alternative => {
+      if (typeof alternative === 'string') {
+        alternative = {transcript: alternative};
+      }
+      return {
+        transcript: (alternative.transcript || '').trim(),
+        confidence: typeof alternative.confidence === 'number' ? alternative.confidence : null
+      };
+    }).filter(alternative => alternative.transcript);
+
+    return this.alternatives.map(alternative => alternative.transcript);
+  }
+
+  /**
+   * Report alternatives of what was heard, as a result if any of them is
+   * one of the expected phrases. Nothing heard is reported as a
+   * 'no-speech' error.
+   *
+   * @param {Array} alternatives Transcripts of what was heard, or objects
+   *  as {transcript, confidence}, most likely first
+   */
+  handleAlternatives(alternatives) {
+    alternatives = this.setAlternatives(alternatives);
+
+    if (!alternatives.length) {
+      this.trigger('error', {error: 'no-speech'});
+      return;
+    }
+
+    const phrase = this.findPhrase(alternatives);
+    if (phrase !== null) {
+      this.trigger('result', [phrase]);
+    }
+    else {
+      this.trigger('no-match', alternatives);
+    }
+  }
+
+  /**
+   * Get alternatives of a result of the Web Speech API.
+   *
+   * @param {SpeechRecognitionResult} result Result holding alternatives
+   * @return {Array} Alternatives as {transcript, confidence}
+   */
+  static getResultAlternatives(result) {
+    const alternatives = [];
+    for (let i = 0; i < result.length; i++) {
+      alternatives.push({
+        transcript: result[i].transcript,
+        confidence: result[i].confidence
+      });
+    }
+    return alternatives;
+  }
+
+  /**
+   * Get recognition error code for a failure to get access to the microphone.
+   * Any failure other than denied permission means there is no usable microphone.
+   *
+   * @param {Error} error Error rejecting getUserMedia
+   * @return {string} Error code
+   */
+  static getMediaErrorCode(error) {
+    const denied = ['NotAllowedError', 'PermissionDeniedError', 'SecurityError'];
+    return denied.indexOf(error.name) !== -1 ? 'not-allowed' : 'audio-capture';
+  }
+
+  /**
+   * Find expected phrase among alternatives, ignoring case.
+   *
+   * @param {Array} alternatives Transcripts of what was heard
+   * @return {string|null} Transcript of the phrase as it was heard, if any,
+   *  leaving it to the answer matcher to tell whether case matters
+   */
+  findPhrase(alternatives) {
+    for (let i = 0; i < alternatives.length; i++) {
+      const alternative = alternatives[i].toLowerCase();
+      for (let j = 0; j < this.phrases.length; j++) {
+        if (this.phrases[j].trim().toLowerCase() === alternative) {
+          return alternatives[i];
+        }
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,113 @@
+import Recognizer from './recognizer';
+
+/**
+ * Web Speech recognizer
+ * Recognizes speech through the Web Speech API of the browser directly.
+ */
+export default class WebSpeechRecognizer extends Recognizer {
+
+  /**
+   * Initializes recognizer without listening.
+   */
+  constructor() {
+    super();
+    this.recognition = null;
+    this.active = false;
+    this.stopping = false;
+  }
+
+  /**
+   * Start listening for speech.
+   * Recognition is restarted when it ends without a result,
+   * until the recognizer is stopped.
+   */
+  start() {
+    const SpeechRecognition = WebSpeechRecognizer.getSpeechRecognition();
+
+    this.recognition = new SpeechRecognition();
+    this.recognition.continuous = false;
+    this.recognition.interimResults = true;
+    this.recognition.maxAlternatives = 5;
+    if (this.language) {
+      this.recognition.lang = this.language;
+    }
+
+    this.recognition.onresult = (event) => {
+      const result = event.results[event.results.length - 1];
+      if (!this.active) {
+        return;
+      }
+
+      if (!result.isFinal) {
+        this.trigger('interim', result[0].transcript);
+        return;
+      }
+
+      this.handleAlternatives(Recognizer.getResultAlternatives(result));
+    };
+
+    this.recognition.onerror = (event) => {
+      if (this.active && event.error !== 'aborted') {
+        this.trigger('error', {error: event.error, message: event.message});
+      }
+    };
+
+    this.recognition.onend = () => {
+      if (this.active && !this.stopping) {
+        this.recognition.start();
+        return;
+      }
+      this.active = false;
+      this.stopping = false;
+      this.trigger('stop');
+    };
+
+    this.active = true;
+    this.stopping = false;
+    this.alternatives = [];
+    this.recognition.start();
+    this.trigger('start');
+  }
+
+  /**
+   * Stop listening, still reporting what has been heard so far.
+   */
+  stop() {
+    if (this.active) {
+      this.stopping = true;
+      this.recognition.stop();
+    }
+  }
+
+  /**
+   * Stop listening right away.
+   */
+  abort() {
+    if (this.active) {
+      this.active = false;
+      this.recognition.abort();
+    }
+  }
+
+  /**
+   * Get speech recognition constructor of the browser.
+   *
+   * @return {function|undefined} SpeechRecognition, if supported
+   */
+  static getSpeechRecognition() {
+    return window.SpeechRecognition ||
+      window.webkitSpeechRecognition ||
+      window.mozSpeechRecognition ||
+      window.msSpeechRecognition ||
+      window.oSpeechRecognition;
+  }
+
+  /**
+   * Check if the Web Speech API is available in this browser.
+   *
+   * @return {boolean} True if supported
+   */
+  static isSupported() {
+    return !!WebSpeechRecognizer.getSpeechRecognition();
+  }
+}
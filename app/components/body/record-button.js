@@ -1,6 +1,7 @@
 import React from 'react';
 import './styles/record-button.css';
 import { decode } from 'he';
+import Util from '../speak-the-words-util';
 
 /**
  * Record button component
@@ -8,6 +9,15 @@ import { decode } from 'he';
  * - off
  * - listening for user input
  * - disabled
+ *
+ * In toggle and auto mode pressing the button starts listening, and in
+ * toggle mode pressing it again stops. In hold mode the user listens for as
+ * long as the button is held down by mouse, touch, pen, space or enter.
+ *
+ * Pointer events are used where supported, since they handle mouse, touch
+ * and pen alike. React 15 does not support them, so they are listened to
+ * on the button element directly. Other browsers fall back to mouse and
+ * touch events.
  */
 export default class RecordButton extends React.Component {
 
@@ -18,6 +28,8 @@ export default class RecordButton extends React.Component {
    * @param {Object} props
    * @param {Object} props.speechEngine Speech engine functionality
    * @param {Object} props.eventStore A central store for events
+   * @param {string} [props.mode] One of 'toggle', 'hold' or 'auto'
+   * @param {boolean} [props.locked] Keeps the button disabled while true
    * @param {SpeakTheWordsTranslations} props.l10n
    */
   constructor(props) {
@@ -32,13 +44,59 @@ export default class RecordButton extends React.Component {
       hidden: false
     };
     this.state = this.initialState;
-    this.initSpeechEngineListeners();
+    this.button = null;
+    this.usePointerEvents = RecordButton.hasPointerEvents();
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.removeListeners = Util.listenTo(this.eventStore, Util.extend({
+      'stop-all-media': () => {
+        this.setState({
+          listening: false
+        });
+      },
+      'stop-listening': () => {
+        this.setState({
+          listening: false
+        });
+      }
+    }, this.getSpeechEngineListeners()));
+  }
 
-    this.eventStore.on('stop-all-media', () => {
-      this.setState({
-        listening: false
-      });
-    });
+  /**
+   * Listen to pointer events on the button element.
+   */
+  componentDidMount() {
+    if (!this.usePointerEvents || !this.button) {
+      return;
+    }
+
+    this.button.addEventListener('pointerdown', this.handlePointerDown);
+    this.button.addEventListener('pointerup', this.handlePointerUp);
+    this.button.addEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Stop listening to events when the button is removed.
+   */
+  componentWillUnmount() {
+    this.removeListeners();
+
+    if (!this.usePointerEvents || !this.button) {
+      return;
+    }
+
+    this.button.removeEventListener('pointerdown', this.handlePointerDown);
+    this.button.removeEventListener('pointerup', this.handlePointerUp);
+    this.button.removeEventListener('pointercancel', this.handlePointerUp);
+  }
+
+  /**
+   * Check if the user has to hold the button while speaking.
+   *
+   * @return {boolean} True if in hold mode
+   */
+  isHoldMode() {
+    return this.props.mode === 'hold';
   }
 
   /**
@@ -77,7 +135,21 @@ export default class RecordButton extends React.Component {
    */
   handleKeyPressed(e) {
     if (e.which === 32 || e.which === 13) {
-      this.startListening();
+      if (!e.repeat || !this.isHoldMode()) {
+        this.press();
+      }
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Handle keyboard button release.
+   * Releasing space or enter stops listening in hold mode.
+   * @param {Object} e Keyboard event
+   */
+  handleKeyReleased(e) {
+    if (e.which === 32 || e.which === 13) {
+      this.stopListening();
       e.preventDefault();
     }
   }
@@ -90,23 +162,80 @@ export default class RecordButton extends React.Component {
   handleMouseDown(e) {
     // left mouse button
     if (e.nativeEvent.which === 1) {
-      this.startListening();
+      this.press();
       e.preventDefault();
     }
   }
 
   /**
-   * Starts listening for user speech input.
+   * Handles touch start event.
+   * @param {Object} e Synthetic React event
    */
-  startListening() {
-    if (this.state.disabled) {
+  handleTouchStart(e) {
+    // Prevent emulated mouse events from pressing the button a second time
+    e.preventDefault();
+    this.press();
+  }
+
+  /**
+   * Handles pointer down event from a mouse, touch or pen.
+   * Only the primary button of the primary pointer presses the button.
+   * @param {PointerEvent} e Pointer event
+   */
+  handlePointerDown(e) {
+    if (!e.isPrimary || e.button !== 0) {
       return;
     }
 
-    // already listening
+    // Keep receiving pointer events when the pointer is dragged off the button
+    if (this.isHoldMode() && this.button.setPointerCapture) {
+      this.button.setPointerCapture(e.pointerId);
+    }
+
+    this.press();
+    e.preventDefault();
+  }
+
+  /**
+   * Handles pointer up or cancel event, stopping listening in hold mode.
+   * @param {PointerEvent} e Pointer event
+   */
+  handlePointerUp(e) {
+    if (e.isPrimary && this.isHoldMode()) {
+      this.stopListening();
+    }
+  }
+
+  /**
+   * Starts listening when the button is pressed, or stops if already
+   * listening in toggle mode.
+   */
+  press() {
+    if (this.isHoldMode()) {
+      this.startListening();
+    }
+    else {
+      this.toggleListening();
+    }
+  }
+
+  /**
+   * Starts listening, or stops if already listening.
+   */
+  toggleListening() {
     if (this.state.listening) {
-      this.setState({listening: false});
-      this.eventStore.trigger('stop-listening');
+      this.stopListening();
+    }
+    else {
+      this.startListening();
+    }
+  }
+
+  /**
+   * Starts listening for user speech input.
+   */
+  startListening() {
+    if (this.state.disabled || this.state.listening || this.props.locked) {
       return;
     }
 
@@ -115,13 +244,43 @@ export default class RecordButton extends React.Component {
   }
 
   /**
-   * Initializes listeners that react to speech engine events.
+   * Stops listening, letting the speech engine report what was heard.
+   */
+  stopListening() {
+    if (!this.state.listening) {
+      return;
+    }
+
+    this.setState({listening: false});
+    this.eventStore.trigger('stop-listening');
+  }
+
+  /**
+   * Get listeners that react to speech engine events.
+   *
+   * @return {Object} Listener for each event type
    */
-  initSpeechEngineListeners() {
-    this.eventStore.on('reset-task', this.resetState.bind(this));
-    this.eventStore.on('show-solution', this.hideButton.bind(this));
-    this.eventStore.on('answered-correctly', this.hideButton.bind(this));
-    this.eventStore.on('answered-wrong', this.disableButton.bind(this));
+  getSpeechEngineListeners() {
+    return {
+      'reset-task': this.resetState.bind(this),
+      'speech-error': () => {
+        this.setState({
+          listening: false,
+          processingSound: false
+        });
+      },
+      'show-solution': this.hideButton.bind(this),
+      'answered-correctly': this.hideButton.bind(this),
+      'answered-wrong': this.disableButton.bind(this),
+      'restore-state': (e) => {
+        if (e.data.answeredCorrectly) {
+          this.hideButton();
+        }
+        else {
+          this.disableButton();
+        }
+      }
+    };
   }
 
   /**
@@ -132,21 +291,50 @@ export default class RecordButton extends React.Component {
   render() {
     const className = "h5p-speak-the-words-record h5p-joubelui-button"
       + (this.state.listening ? " h5p-listening" : "")
-      + (this.state.disabled ? " h5p-disabled" : "")
+      + (this.state.disabled || this.props.locked ? " h5p-disabled" : "")
       + (this.state.hidden ? " h5p-hidden" : "");
 
-    const buttonText = this.state.listening ? this.props.l10n.listeningLabel :
-      this.props.l10n.speakLabel;
+    const l10n = this.props.l10n;
+    const speakLabel = this.isHoldMode() ? l10n.holdToSpeakLabel : l10n.speakLabel;
+    const buttonText = this.state.listening ? l10n.listeningLabel : speakLabel;
+
+    // Pointer events are listened to on the element, see componentDidMount
+    let pointerHandlers = {};
+    if (!this.usePointerEvents) {
+      pointerHandlers = {
+        onMouseDown: this.handleMouseDown.bind(this),
+        onTouchStart: this.handleTouchStart.bind(this)
+      };
+      if (this.isHoldMode()) {
+        const stopListening = this.stopListening.bind(this);
+        pointerHandlers.onMouseUp = stopListening;
+        pointerHandlers.onMouseLeave = stopListening;
+        pointerHandlers.onTouchEnd = stopListening;
+        pointerHandlers.onTouchCancel = stopListening;
+      }
+    }
 
     return (
       <button
         type="button"
+        ref={button => this.button = button}
         className={className}
-        onMouseDown={this.handleMouseDown.bind(this)}
+        aria-pressed={this.state.listening}
         onKeyDown={this.handleKeyPressed.bind(this)}
+        onKeyUp={this.isHoldMode() ? this.handleKeyReleased.bind(this) : undefined}
+        {...pointerHandlers}
       >
         {decode(buttonText)}
       </button>
-    )
+    );
+  }
+
+  /**
+   * Check if the browser supports pointer events.
+   *
+   * @return {boolean} True if pointer events are supported
+   */
+  static hasPointerEvents() {
+    return !!window.PointerEvent;
   }
 }
@@ -0,0 +1,48 @@
+import React from 'react';
+import './styles/recording-playback.css';
+import {decode} from 'he';
+
+/**
+ * Recording playback component
+ * Lets the user listen to the recording of their answer,
+ * next to the transcript of what was heard.
+ *
+ * Props:
+ * - recording: object URL of the recorded audio
+ * - transcript: the answer as interpreted by the speech engine
+ * - l10n: translations
+ */
+export default class RecordingPlayback extends React.Component {
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    const label = decode(this.props.l10n.playbackLabel);
+
+    let transcript = null;
+    if (this.props.transcript) {
+      transcript = (
+        <div className="h5p-speak-the-words-playback-transcript">
+          {this.props.transcript}
+        </div>
+      );
+    }
+
+    return (
+      <div className="h5p-speak-the-words-playback">
+        <div className="h5p-speak-the-words-playback-label">{label}</div>
+        <audio
+          className="h5p-speak-the-words-playback-audio"
+          controls
+          preload="metadata"
+          src={this.props.recording}
+          aria-label={label}
+        />
+        {transcript}
+      </div>
+    );
+  }
+}
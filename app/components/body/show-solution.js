@@ -1,6 +1,8 @@
 import React from 'react';
 import './styles/show-solution.css';
 import {decode} from 'he';
+import WordDiff from './word-diff';
+import ListenButton from './listen-button';
 
 /**
  * Show solution component
@@ -20,6 +22,17 @@ export default class ShowSolution extends React.Component {
    * A central event store for all task related events
    * @param {Array} props.acceptedAnswers
    * All accepted answers as specified by the author
+   * @param {Array} [props.spokenAnswers]
+   * Accepted answers as they can be read aloud, or null where they can not
+   * @param {AnswerMatcher} [props.answerMatcher]
+   * Matcher used for lining up the user's answer with the closest accepted answer
+   * @param {Array} [props.answerAudio]
+   * Recordings of each accepted answer as {src, type}, or null where there are none
+   * @param {string} props.inputLanguage Language the answers are spoken in
+   * @param {number|null} [props.confidence]
+   * Confidence of the speech engine in the user's answer, 0 to 1
+   * @param {string|null} [props.wrongAnswerFeedback]
+   * Feedback for the known wrong answer the user gave, if any
    * @params {Translations} l10n Translations for component
    */
   constructor(props) {
@@ -27,7 +40,8 @@ export default class ShowSolution extends React.Component {
 
     this.state = {
       showSolution: false,
-      userAnswers: []
+      userAnswers: [],
+      answeredCorrectly: false
     };
 
     props.eventStore.on('show-solution', () => {
@@ -36,11 +50,28 @@ export default class ShowSolution extends React.Component {
     props.eventStore.on('reset-task', () => {
       this.setState({
         showSolution: false,
-        userAnswers: []
+        userAnswers: [],
+        answeredCorrectly: false
+      });
+    });
+    props.eventStore.on('answered-correctly', (e) => {
+      // Only the alternative that matched an accepted answer is passed on
+      this.setState({
+        userAnswers: e.data,
+        answeredCorrectly: true
+      });
+    });
+    props.eventStore.on('restore-state', (e) => {
+      this.setState({
+        userAnswers: e.data.userAnswers,
+        answeredCorrectly: e.data.answeredCorrectly
       });
     });
     props.eventStore.on('answered-wrong', (e) => {
-      this.setState({userAnswers: e.data});
+      this.setState({
+        userAnswers: e.data,
+        answeredCorrectly: false
+      });
     });
   }
 
@@ -54,28 +85,75 @@ export default class ShowSolution extends React.Component {
 
     let userAnswersText = null;
     if (this.state.userAnswers && this.state.userAnswers.length) {
+      let confidence = null;
+      if (typeof this.props.confidence === 'number') {
+        confidence = (
+          <div className="h5p-speak-the-words-confidence">
+            {decode(this.props.l10n.confidenceText)
+              .replace(/@confidence/g, Math.round(this.props.confidence * 100))}
+          </div>
+        );
+      }
+
+      let wrongAnswerFeedback = null;
+      if (this.props.wrongAnswerFeedback && !this.state.answeredCorrectly) {
+        wrongAnswerFeedback = (
+          <div className="h5p-speak-the-words-wrong-answer-feedback">
+            {decode(this.props.wrongAnswerFeedback)}
+          </div>
+        );
+      }
+
+      const answerClassName = 'h5p-speak-the-words-interpreted-answer'
+        + (this.state.answeredCorrectly ? ' correct' : '');
+
       userAnswersText = (
         <div className="h5p-speak-the-words-user-answer-text">
           <div>{decode(this.props.l10n.userAnswersText)}</div>
-          {this.state.userAnswers.map(userAnswer => {
+          {this.state.userAnswers.map((userAnswer, index) => {
             return (
-              <div key={userAnswer} className="h5p-speak-the-words-interpreted-answer">
+              <div key={index + '-' + userAnswer} className={answerClassName}>
                 {userAnswer}
               </div>);
           })}
+          {wrongAnswerFeedback}
+          {confidence}
         </div>
       )
     }
 
+    let wordDiff = null;
+    const closest = this.props.answerMatcher &&
+      this.props.answerMatcher.findClosest(this.state.userAnswers);
+    if (closest) {
+      wordDiff = (
+        <WordDiff
+          diff={this.props.answerMatcher.getWordDiff(closest.response, closest.answer)}
+          l10n={this.props.l10n}
+        />
+      );
+    }
+
     return (
       <div className={className}>
         {userAnswersText}
+        {wordDiff}
         <div className="h5p-speak-the-words-correct-answer-text">
           <div>{decode(this.props.l10n.correctAnswersText)}</div>
-          {this.props.acceptedAnswers.map(acceptedAnswer => {
+          {this.props.acceptedAnswers.map((acceptedAnswer, index) => {
             return (
-              <div key={acceptedAnswer} className="h5p-speak-the-words-correct-answer">
-                {acceptedAnswer}
+              <div key={index + '-' + acceptedAnswer} className="h5p-speak-the-words-correct-answer-item">
+                <div className="h5p-speak-the-words-correct-answer">
+                  {acceptedAnswer}
+                </div>
+                <ListenButton
+                  text={this.props.spokenAnswers ? this.props.spokenAnswers[index] : acceptedAnswer}
+                  sources={this.props.answerAudio ? this.props.answerAudio[index] : null}
+                  language={this.props.inputLanguage}
+                  label={decode(this.props.l10n.a11yListenAnswer).replace(/@answer/g, acceptedAnswer)}
+                  eventStore={this.props.eventStore}
+                  l10n={this.props.l10n}
+                />
               </div>
             );
           })}
@@ -1,35 +1,93 @@
+import AnswerMatcher from './answer-matcher';
+
+// Translation of the message shown for each recognition error
+const ERROR_MESSAGES = {
+  'not-allowed': 'microphoneDeniedText',
+  'service-not-allowed': 'microphoneDeniedText',
+  'audio-capture': 'noMicrophoneText',
+  'no-speech': 'noSound',
+  'network': 'networkErrorText'
+};
+
 /**
  * Speech engine library
  * A hub for all the speech engine events.
  * Keeps track of:
- * - all speech engine commands
- * - all callbacks fired by speech engine
+ * - the answers that are accepted
+ * - all events fired by the speech recognition backend
+ *
+ * When a passage is read aloud, the speech engine keeps listening through
+ * pauses, putting together what was heard until listening stops.
  */
 export default class SpeechEngine {
 
   /**
    * Initializes speech engine
-   * All commands are generated and engine is prepared for execution
    * The speech engine will wait until it gets the 'start-listening' event
    * before listening for any user speech
    *
    * @param {SpeakTheWordsParameters} params
    * @param {Object} eventStore
    *  A central event store that all events are channeled through
+   * @param {Recognizer} recognizer Speech recognition backend
    */
-  constructor(params, eventStore) {
+  constructor(params, eventStore, recognizer) {
     this.params = params;
     this.eventStore = eventStore;
-    this.annyang = window.annyang;
+    this.recognizer = recognizer;
     this.listening = false;
-    this.commands = this.getCommands(params.acceptedAnswers);
+    this.acceptedAnswers = [];
+    this.reading = false;
+    this.transcript = '';
+
+    this.recognizer.on('result', (e) => {
+      if (this.reading) {
+        this.continueReading(e.data[0]);
+        return;
+      }
+      // An accepted phrase may be the same as a wrong answer once normalized
+      if (this.answerMatcher && !this.answerMatcher.match(e.data[0])) {
+        this.answeredWrong(e.data);
+        return;
+      }
+      this.answeredCorrectly(e.data[0]);
+    });
+
+    this.recognizer.on('no-match', (e) => {
+      if (this.reading) {
+        this.continueReading(e.data[0]);
+        return;
+      }
+      this.answeredWrong(e.data);
+    });
+
+    this.recognizer.on('interim', (e) => {
+      if (this.listening) {
+        this.eventStore.trigger('interim-result', this.reading ? this.joinTranscript(e.data) : e.data);
+      }
+    });
+
+    this.recognizer.on('error', (e) => {
+      // Pauses while reading aloud are not taken as having nothing to say
+      if (this.reading && e.data.error === 'no-speech') {
+        return;
+      }
+      this.handleError(e.data);
+    });
+
+    this.recognizer.on('stop', () => {
+      if (this.reading && this.listening) {
+        this.finishReading();
+      }
+      this.listening = false;
+    });
 
     this.eventStore.on('start-listening', () => {
       this.init();
     });
 
     this.eventStore.on('stop-listening', () => {
-      this.destroy();
+      this.stop();
     });
 
     this.eventStore.on('stop-all-media', () => {
@@ -38,50 +96,113 @@ export default class SpeechEngine {
   }
 
   /**
-   * Requests usage of microphone and initializes speech engine
-   * commands and callbacks.
+   * Set the answers the speech engine should accept,
+   * must be called before listening and when moving between prompts.
+   *
+   * @param {Array} acceptedAnswers Author specified list of accepted answers
+   * @param {AnswerMatcher} answerMatcher
+   *  Decides whether responses that are not exact matches are accepted
+   * @param {boolean} [reading=false] Whether the answer is a passage read aloud
+   */
+  setAnswers(acceptedAnswers, answerMatcher, reading = false) {
+    this.answerMatcher = answerMatcher;
+    this.acceptedAnswers = acceptedAnswers;
+    this.reading = reading;
+  }
+
+  /**
+   * Starts listening for the accepted answers.
    */
   init() {
     if (this.params.inputLanguage) {
-      this.annyang.setLanguage(this.params.inputLanguage);
+      this.recognizer.setLanguage(this.params.inputLanguage);
     }
     this.listening = true;
-    this.annyang.addCallback('resultNoMatch', this.answeredWrong.bind(this));
-    this.annyang.addCommands(this.commands);
-    this.annyang.start();
+    this.transcript = '';
+    // Patterns are left to the answer matcher
+    this.recognizer.setPhrases(this.answerMatcher ? this.answerMatcher.getPhrases() : this.acceptedAnswers);
+    this.recognizer.start();
   }
 
   /**
-   * Stops listening and turns of microphone.
-   * Removes all commands and callbacks so speech engine can be re-initialized
-   * with a different set of rules by a different task.
+   * Stops listening, still answering with what has been heard so far.
+   */
+  stop() {
+    if (this.listening) {
+      this.recognizer.stop();
+    }
+  }
+
+  /**
+   * Stops listening right away and turns off microphone, so the
+   * speech engine can be used again for a different prompt.
    */
   destroy() {
     this.listening = false;
-    this.annyang.removeCallback('resultNoMatch', this.answeredWrong.bind(this));
-    this.annyang.removeCommands();
-    this.annyang.abort();
+    this.recognizer.abort();
+  }
+
+  /**
+   * Get alternatives of what was heard for the last answer.
+   *
+   * @return {Array} Alternatives as {transcript, confidence}, see Recognizer
+   */
+  getAlternatives() {
+    if (this.reading) {
+      return this.transcript ? [{transcript: this.transcript, confidence: null}] : [];
+    }
+    return this.recognizer.getAlternatives();
+  }
+
+  /**
+   * Get confidence of the recognizer in a response.
+   *
+   * @param {string} response Response that was detected
+   * @return {number|null} Confidence, 0 to 1, null if not known
+   */
+  getConfidence(response) {
+    const language = this.params.inputLanguage;
+    const normalized = AnswerMatcher.normalize(response || '', language);
+    const alternative = this.getAlternatives().filter(alternative => {
+      return AnswerMatcher.normalize(alternative.transcript, language) === normalized;
+    })[0];
+
+    return alternative ? alternative.confidence : null;
   }
 
   /**
    * Notify listeners that user has answered correctly.
+   * An answer the recognizer was not confident enough about is unclear,
+   * and is reported as wrong so the user can try again.
    * Destroy speech engine
    * @param {string} response Response that was detected.
    */
   answeredCorrectly(response) {
-    if (this.listening) {
-      this.eventStore.trigger('answered-correctly', [response]);
-      this.destroy();
+    if (!this.listening) {
+      return;
     }
+
+    const confident = !this.answerMatcher ||
+      this.answerMatcher.isConfident(this.getConfidence(response));
+    this.eventStore.trigger(confident ? 'answered-correctly' : 'answered-wrong', [response]);
+    this.destroy();
   }
 
   /**
    * Notify listeners that user has answered wrong.
+   * Alternatives that did not match any answer exactly may still be close
+   * enough to an accepted answer within the tolerance set by the author.
    *
    * @param {Array} results
    *  User answers as interpreted by the speech engine
    */
   answeredWrong(results) {
+    const match = this.answerMatcher && this.answerMatcher.findMatch(results);
+    if (match) {
+      this.answeredCorrectly(match.response);
+      return;
+    }
+
     if (this.listening) {
       this.eventStore.trigger('answered-wrong', results);
       this.destroy();
@@ -89,19 +210,61 @@ export default class SpeechEngine {
   }
 
   /**
-   * Generate commands from author specified answers
-   * If a user answers gives of the accepted answers it should be interpreted
-   * as a correctly answered task
+   * Add what was heard before a pause to the passage being read aloud.
    *
-   * @param {Array} acceptedAnswers Author specified list of accepted answers
-   * @return {Object} Consumable commands for the speech engine
+   * @param {string} transcript What was heard
+   */
+  continueReading(transcript) {
+    if (this.listening) {
+      this.transcript = this.joinTranscript(transcript);
+    }
+  }
+
+  /**
+   * Answer with the passage as read aloud, once listening has stopped.
+   */
+  finishReading() {
+    if (!this.transcript) {
+      this.handleError({error: 'no-speech'});
+      return;
+    }
+    this.answeredWrong([this.transcript]);
+  }
+
+  /**
+   * Get what has been read aloud so far, followed by more that was heard.
+   *
+   * @param {string} transcript What was heard after the last pause
+   * @return {string} Passage read so far
+   */
+  joinTranscript(transcript) {
+    return [this.transcript, (transcript || '').trim()].filter(text => text).join(' ');
+  }
+
+  /**
+   * Notify listeners that speech could not be recognized,
+   * with a message telling the user what went wrong.
+   *
+   * @param {Object} error Error as reported by the recognizer, see Recognizer
+   */
+  handleError(error) {
+    if (this.listening) {
+      this.destroy();
+      this.eventStore.trigger('speech-error', {
+        error: error.error,
+        message: this.getErrorMessage(error.error)
+      });
+    }
+  }
+
+  /**
+   * Get message for a recognition error.
+   *
+   * @param {string} error Error code, see Recognizer
+   * @return {string} Translated message
    */
-  getCommands(acceptedAnswers) {
-    return acceptedAnswers.reduce((prev, curr) => {
-      prev[curr] = () => {
-        this.answeredCorrectly(curr);
-      };
-      return prev;
-    }, {});
+  getErrorMessage(error) {
+    const l10n = this.params.l10n;
+    return l10n[ERROR_MESSAGES[error]] || l10n.speechErrorText;
   }
 }
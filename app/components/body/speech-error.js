@@ -0,0 +1,67 @@
+import React from 'react';
+import './styles/speech-error.css';
+import {decode} from 'he';
+import Util from '../speak-the-words-util';
+
+/**
+ * Speech error component
+ * Tells the user why speech could not be recognized, until they try again.
+ */
+export default class SpeechError extends React.Component {
+
+  /**
+   * Initializes component without any error.
+   *
+   * @param {Object} props
+   * @param {Object} props.eventStore A central store for events
+   */
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      error: null,
+      message: null
+    };
+
+    const clear = () => {
+      this.setState({
+        error: null,
+        message: null
+      });
+    };
+    this.removeListeners = Util.listenTo(props.eventStore, {
+      'speech-error': (e) => {
+        this.setState({
+          error: e.data.error,
+          message: e.data.message
+        });
+      },
+      'start-listening': clear,
+      'reset-task': clear
+    });
+  }
+
+  /**
+   * Stop listening to events when the component is removed.
+   */
+  componentWillUnmount() {
+    this.removeListeners();
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    if (!this.state.message) {
+      return null;
+    }
+
+    return (
+      <div className={'h5p-speak-the-words-speech-error ' + this.state.error} role="alert">
+        {decode(this.state.message)}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,72 @@
+jest.unmock('../number-words');
+jest.unmock('../english');
+jest.unmock('../german');
+jest.unmock('../spanish');
+jest.unmock('../french');
+
+import NumberWords from '../number-words';
+import english from '../english';
+import german from '../german';
+import spanish from '../spanish';
+import french from '../french';
+
+describe('Number Words', () => {
+  it('should write numbers as digits', () => {
+    const numberWords = new NumberWords(english);
+    expect(numberWords.toDigits('twenty one')).toBe('21');
+    expect(numberWords.toDigits('one hundred and five cats')).toBe('105 cats');
+    expect(numberWords.toDigits('two thousand and nineteen')).toBe('2019');
+    expect(numberWords.toDigits('three million')).toBe('3000000');
+    expect(numberWords.toDigits('3 million')).toBe('3000000');
+  });
+
+  it('should keep numbers said one after another apart', () => {
+    const numberWords = new NumberWords(english);
+    expect(numberWords.toDigits('one two three')).toBe('1 2 3');
+    expect(numberWords.toDigits('ten nine eight')).toBe('10 9 8');
+    expect(numberWords.toDigits('five and six')).toBe('5 and 6');
+  });
+
+  it('should leave other words alone', () => {
+    expect(new NumberWords(english).toDigits('cats and dogs')).toBe('cats and dogs');
+  });
+
+  it('should write ordinals as digits', () => {
+    const numberWords = new NumberWords(english);
+    expect(numberWords.toDigits('the first')).toBe('the 1º');
+    expect(numberWords.toDigits('twenty second')).toBe('22º');
+    expect(numberWords.toDigits('the twentieth century')).toBe('the 20º century');
+  });
+
+  it('should split compound numbers', () => {
+    const numberWords = new NumberWords(german);
+    expect(numberWords.toDigits('einundzwanzig')).toBe('21');
+    expect(numberWords.toDigits('zweitausenddreihundertfunf')).toBe('2305');
+    expect(numberWords.toDigits('der einundzwanzigste')).toBe('der 21º');
+    expect(numberWords.toDigits('die sechste')).toBe('die 6º');
+    expect(numberWords.toDigits('zwei und zwei')).toBe('2 und 2');
+  });
+
+  it('should join tens and units', () => {
+    const numberWords = new NumberWords(spanish);
+    expect(numberWords.toDigits('treinta y cinco')).toBe('35');
+    expect(numberWords.toDigits('dos mil quinientos')).toBe('2500');
+    expect(numberWords.toDigits('el segundo')).toBe('el 2º');
+  });
+
+  it('should count in twenties', () => {
+    const numberWords = new NumberWords(french);
+    expect(numberWords.toDigits('soixante et onze')).toBe('71');
+    expect(numberWords.toDigits('quatre vingt dix sept')).toBe('97');
+    expect(numberWords.toDigits('trois cent quatre vingts')).toBe('380');
+    expect(numberWords.toDigits('la troisieme')).toBe('la 3º');
+    expect(numberWords.toDigits('la premiere')).toBe('la 1ª');
+  });
+
+  it('should leave articles alone', () => {
+    expect(new NumberWords(french).toDigits('un chat et une maison')).toBe('un chat et une maison');
+    expect(new NumberWords(spanish).toDigits('una casa')).toBe('una casa');
+    expect(new NumberWords(german).toDigits('ein mann und eine frau')).toBe('ein mann und eine frau');
+    expect(new NumberWords(german).toDigits('eins')).toBe('1');
+  });
+});
@@ -0,0 +1,104 @@
+jest.unmock('../spoken-forms');
+jest.unmock('../number-words');
+jest.unmock('../english');
+jest.unmock('../german');
+jest.unmock('../spanish');
+jest.unmock('../french');
+jest.unmock('../../answer-matcher');
+jest.unmock('../../answer-pattern');
+jest.unmock('../../../speak-the-words-util');
+
+import SpokenForms from '../spoken-forms';
+import AnswerMatcher from '../../answer-matcher';
+
+describe('Spoken Forms', () => {
+  const same = (language, a, b) => {
+    expect(AnswerMatcher.normalize(a, language)).toBe(AnswerMatcher.normalize(b, language));
+  };
+
+  it('should fall back to English', () => {
+    expect(SpokenForms.forLanguage('ja-JP')).toBe(SpokenForms.forLanguage('en-GB'));
+    expect(SpokenForms.forLanguage()).toBe(SpokenForms.forLanguage('en-US'));
+  });
+
+  it('should write numbers the same way', () => {
+    same('en-US', 'twenty-five', '25');
+    same('en-US', 'one thousand two hundred', '1,200');
+    same('en-US', 'two point five', '2.5');
+    same('en-US', 'three point one four', '3.14');
+    same('de-DE', 'zweitausendfünfhundert', '2.500');
+    same('de-DE', 'zwei Komma fünf', '2,5');
+    same('es-ES', 'dos coma cinco', '2,5');
+    same('fr-FR', 'deux mille cinq cents', '2 500');
+  });
+
+  it('should write ordinals the same way', () => {
+    same('en-US', 'the twenty-first of May', 'the 21st of May');
+    same('de-DE', 'am dritten Mai', 'am 3. Mai');
+    same('es-ES', 'el primer día', 'el 1.º día');
+    same('fr-FR', 'le deuxième étage', 'le 2e étage');
+    expect(AnswerMatcher.normalize('the first', 'en-US')).not.toBe(AnswerMatcher.normalize('the one', 'en-US'));
+  });
+
+  it('should keep the gender of ordinals that have one', () => {
+    same('es-ES', 'la primera vez', 'la 1.ª vez');
+    same('es-ES', 'la segunda calle', 'la 2a calle');
+    same('fr-FR', 'la première fois', 'la 1re fois');
+    same('fr-FR', 'le premier jour', 'le 1er jour');
+    expect(AnswerMatcher.normalize('el primer día', 'es-ES')).not.toBe(AnswerMatcher.normalize('el primera día', 'es-ES'));
+    expect(AnswerMatcher.normalize('la première', 'fr-FR')).not.toBe(AnswerMatcher.normalize('la premier', 'fr-FR'));
+  });
+
+  it('should only write articles as numbers when counting something', () => {
+    expect(AnswerMatcher.normalize('une maison', 'fr-FR')).toBe('une maison');
+    expect(AnswerMatcher.normalize('una casa', 'es-ES')).toBe('una casa');
+    expect(AnswerMatcher.normalize('eine Frau', 'de-DE')).toBe('eine frau');
+    same('fr-FR', 'un kilo', '1 kg');
+    same('fr-FR', 'vingt et un', '21');
+    same('fr-FR', 'une heure et demie', '1h30');
+    same('es-ES', 'un millón', '1.000.000');
+    same('de-DE', 'ein Komma fünf', '1,5');
+    same('de-DE', 'einundzwanzig', '21');
+  });
+
+  it('should write times the same way', () => {
+    same('en-US', 'half past three', '3:30');
+    same('en-US', 'a quarter to four', '3:45');
+    same('en-US', 'three thirty', '3:30');
+    same('en-US', 'five past twelve pm', '12:05 pm');
+    same('en-US', 'three o\'clock', '3:00');
+    same('de-DE', 'halb vier', '3:30');
+    same('de-DE', 'viertel nach drei', '3:15');
+    same('de-DE', 'drei Uhr zwanzig', '3:20');
+    same('es-ES', 'las tres y media', 'las 3:30');
+    same('es-ES', 'las cuatro menos cuarto', 'las 3:45');
+    same('fr-FR', 'trois heures et quart', '3h15');
+    same('fr-FR', 'quatre heures moins le quart', '3 h 45');
+  });
+
+  it('should only take ambiguous times for times in context', () => {
+    expect(AnswerMatcher.normalize('from one to ten', 'en-US')).toBe('from 1 to 10');
+    expect(AnswerMatcher.normalize('five after six', 'en-US')).toBe('5 after 6');
+    expect(AnswerMatcher.normalize('zwei vor zwölf', 'de-DE')).toBe('2 vor 12');
+    expect(AnswerMatcher.normalize('dos y tres', 'es-ES')).toBe('2 y 3');
+
+    same('en-US', 'ten to three pm', '2:50 pm');
+    same('de-DE', 'um zehn vor drei', 'um 2:50');
+    same('es-ES', 'las tres y diez', 'las 3:10');
+    expect(AnswerMatcher.normalize('ten to three', 'en-US', true)).toBe('2 50');
+  });
+
+  it('should write units the same way', () => {
+    same('en-US', 'five kilometres', '5km');
+    same('en-US', 'fifty percent', '50%');
+    same('en-US', 'two dollars fifty', '$2 fifty');
+    same('de-DE', 'zehn Euro', '10 €');
+    same('es-ES', 'cincuenta por ciento', '50 %');
+    same('fr-FR', 'trois kilos', '3 kg');
+  });
+
+  it('should only write numbers of the language', () => {
+    expect(AnswerMatcher.normalize('drei', 'en-US')).toBe('drei');
+    expect(AnswerMatcher.normalize('drei', 'de-DE')).toBe('3');
+  });
+});
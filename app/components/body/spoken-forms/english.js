@@ -0,0 +1,112 @@
+// Ordinals that are not the cardinal followed by "th"
+const ORDINALS = {
+  first: 'one',
+  second: 'two',
+  third: 'three',
+  fifth: 'five',
+  eighth: 'eight',
+  ninth: 'nine',
+  twelfth: 'twelve'
+};
+
+/**
+ * English spoken forms, see SpokenForms.
+ */
+export default {
+  numbers: {
+    zero: ['zero'],
+    units: {
+      one: 1,
+      two: 2,
+      three: 3,
+      four: 4,
+      five: 5,
+      six: 6,
+      seven: 7,
+      eight: 8,
+      nine: 9,
+      ten: 10,
+      eleven: 11,
+      twelve: 12,
+      thirteen: 13,
+      fourteen: 14,
+      fifteen: 15,
+      sixteen: 16,
+      seventeen: 17,
+      eighteen: 18,
+      nineteen: 19
+    },
+    tens: {
+      twenty: 20,
+      thirty: 30,
+      forty: 40,
+      fifty: 50,
+      sixty: 60,
+      seventy: 70,
+      eighty: 80,
+      ninety: 90
+    },
+    hundred: ['hundred'],
+    hundreds: {},
+    scales: {
+      thousand: 1000,
+      million: 1000000,
+      billion: 1000000000
+    },
+    and: ['and'],
+    teensAfterTens: []
+  },
+
+  ordinal: word => {
+    if (ORDINALS.hasOwnProperty(word)) {
+      return [ORDINALS[word]];
+    }
+    return [word.replace(/ieth$/, 'y'), word.replace(/th$/, '')];
+  },
+
+  decimal: 'point',
+  separators: {
+    thousands: ',',
+    decimal: '.'
+  },
+  notations: [
+    [/\b(\d+)(?:st|nd|rd|th)\b/g, '$1º']
+  ],
+
+  // Words next to a time that tell it is one, like "ten to three pm"
+  clockWords: ['oclock', 'am', 'pm'],
+
+  times: [
+    {pattern: 'half past H', minutes: 30},
+    {pattern: 'a quarter past|after H', minutes: 15},
+    {pattern: 'quarter past|after H', minutes: 15},
+    {pattern: 'a quarter to|before H', minutes: 15, to: true},
+    {pattern: 'quarter to|before H', minutes: 15, to: true},
+    {pattern: 'M minute|minutes past|after H'},
+    {pattern: 'M past|after H', ambiguous: true},
+    {pattern: 'M minute|minutes to|before H', to: true},
+    {pattern: 'M to|before H', to: true, ambiguous: true},
+    {pattern: 'H oclock', minutes: 0},
+    {pattern: 'H oh M'}
+  ],
+
+  units: {
+    km: ['kilometre', 'kilometres', 'kilometer', 'kilometers'],
+    m: ['metre', 'metres', 'meter', 'meters'],
+    cm: ['centimetre', 'centimetres', 'centimeter', 'centimeters'],
+    mm: ['millimetre', 'millimetres', 'millimeter', 'millimeters'],
+    kg: ['kilogram', 'kilograms', 'kilogramme', 'kilogrammes', 'kilo', 'kilos'],
+    g: ['gram', 'grams', 'gramme', 'grammes'],
+    mg: ['milligram', 'milligrams'],
+    l: ['litre', 'litres', 'liter', 'liters'],
+    ml: ['millilitre', 'millilitres', 'milliliter', 'milliliters'],
+    h: ['hour', 'hours', 'hr', 'hrs'],
+    min: ['minute', 'minutes', 'mins'],
+    s: ['second', 'seconds', 'sec', 'secs'],
+    percent: ['per cent'],
+    degrees: ['degree'],
+    dollars: ['dollar'],
+    euros: ['euro'],
+    pounds: ['pound']
+  }
+};
@@ -0,0 +1,111 @@
+// Ordinals that are not the cardinal followed by "ieme"
+const ORDINALS = {
+  premier: 'un',
+  premiere: 'une',
+  second: 'deux',
+  seconde: 'deux',
+  cinquieme: 'cinq',
+  neuvieme: 'neuf'
+};
+
+/**
+ * French spoken forms, see SpokenForms.
+ * Seventy and ninety are counted in twenties, like "soixante-dix" and
+ * "quatre-vingt-dix".
+ */
+export default {
+  numbers: {
+    zero: ['zero'],
+    units: {
+      un: 1,
+      une: 1,
+      deux: 2,
+      trois: 3,
+      quatre: 4,
+      cinq: 5,
+      six: 6,
+      sept: 7,
+      huit: 8,
+      neuf: 9,
+      onze: 11,
+      douze: 12,
+      treize: 13,
+      quatorze: 14,
+      quinze: 15,
+      seize: 16
+    },
+    tens: {
+      dix: 10,
+      vingt: 20,
+      vingts: 20,
+      trente: 30,
+      quarante: 40,
+      cinquante: 50,
+      soixante: 60
+    },
+    hundred: ['cent', 'cents'],
+    hundreds: {},
+    scales: {
+      mille: 1000,
+      million: 1000000,
+      millions: 1000000
+    },
+    and: ['et'],
+    articles: ['un', 'une'],
+    timesTwenty: true,
+    teensAfterTens: [60, 80]
+  },
+
+  ordinal: word => {
+    if (ORDINALS.hasOwnProperty(word)) {
+      return [ORDINALS[word]];
+    }
+    const stem = word.replace(/ieme$/, '');
+    return stem === word ? [] : [stem, stem + 'e'];
+  },
+
+  // Only the first tells feminine apart, like "1re" for "premiere"
+  ordinalMark: word => /^premieres?$/.test(word) ? 'ª' : 'º',
+
+  decimal: 'virgule',
+  separators: {
+    thousands: '. \u00a0\u202f',
+    decimal: ','
+  },
+  notations: [
+    [/\b(\d+)(?:re|ere)\b/g, '$1ª'],
+    [/\b(\d+)(?:er|e|eme|nd|nde)\b/g, '$1º'],
+    [/\b(\d{1,2}) ?h ?(\d{2})\b/g, '$1:$2'],
+    [/\b(\d{1,2}) ?h\b/g, '$1:00']
+  ],
+
+  times: [
+    {pattern: 'H heure|heures et demie', minutes: 30},
+    {pattern: 'H heure|heures et quart', minutes: 15},
+    {pattern: 'H heure|heures moins le quart', minutes: 15, to: true},
+    {pattern: 'H heure|heures moins quart', minutes: 15, to: true},
+    {pattern: 'H heure|heures moins M', to: true},
+    {pattern: 'H heure|heures M'},
+    {pattern: 'H heure|heures', minutes: 0}
+  ],
+
+  units: {
+    km: ['kilometre', 'kilometres'],
+    m: ['metre', 'metres'],
+    cm: ['centimetre', 'centimetres'],
+    mm: ['millimetre', 'millimetres'],
+    kg: ['kilogramme', 'kilogrammes', 'kilo', 'kilos'],
+    g: ['gramme', 'grammes'],
+    mg: ['milligramme', 'milligrammes'],
+    l: ['litre', 'litres'],
+    ml: ['millilitre', 'millilitres'],
+    h: ['heure', 'heures'],
+    min: ['minute', 'minutes'],
+    s: ['seconde', 'secondes'],
+    percent: ['pour cent', 'pourcent'],
+    degrees: ['degre', 'degres'],
+    dollars: ['dollar', 'dollars'],
+    euros: ['euro', 'euros'],
+    pounds: ['livre', 'livres']
+  }
+};
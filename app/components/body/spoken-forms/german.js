@@ -0,0 +1,121 @@
+// Stems of ordinals that are not the cardinal followed by "te" or "ste"
+const ORDINALS = {
+  er: 'eins',
+  drit: 'drei',
+  sieb: 'sieben',
+  ach: 'acht'
+};
+
+/**
+ * German spoken forms, see SpokenForms.
+ * Numbers are written as compounds, like "einundzwanzig", with the unit
+ * before the tens.
+ */
+export default {
+  numbers: {
+    zero: ['null'],
+    units: {
+      ein: 1,
+      eins: 1,
+      eine: 1,
+      zwei: 2,
+      drei: 3,
+      vier: 4,
+      funf: 5,
+      sechs: 6,
+      sieben: 7,
+      acht: 8,
+      neun: 9,
+      zehn: 10,
+      elf: 11,
+      zwolf: 12,
+      dreizehn: 13,
+      vierzehn: 14,
+      funfzehn: 15,
+      sechzehn: 16,
+      siebzehn: 17,
+      achtzehn: 18,
+      neunzehn: 19
+    },
+    tens: {
+      zwanzig: 20,
+      dreißig: 30,
+      dreissig: 30,
+      vierzig: 40,
+      funfzig: 50,
+      sechzig: 60,
+      siebzig: 70,
+      achtzig: 80,
+      neunzig: 90
+    },
+    hundred: ['hundert'],
+    hundreds: {},
+    scales: {
+      tausend: 1000,
+      million: 1000000,
+      millionen: 1000000,
+      milliarde: 1000000000,
+      milliarden: 1000000000
+    },
+    and: ['und'],
+    articles: ['ein', 'eine'],
+    compounds: true,
+    unitsBeforeTens: true,
+    teensAfterTens: []
+  },
+
+  ordinal: word => {
+    const match = word.match(/^(.+?)(s?)te[nrsm]?$/);
+    if (!match) {
+      return [];
+    }
+    // "sechste" is "sechs" followed by "te"
+    return [match[1], match[1] + match[2]].map(stem => ORDINALS[stem] || stem);
+  },
+
+  decimal: 'komma',
+  separators: {
+    thousands: '.',
+    decimal: ','
+  },
+  notations: [
+    // "am 3. Mai", but not a number ending a sentence
+    [/\b(\d+)\.(?= [a-zß])/g, '$1º']
+  ],
+
+  // Words next to a time that tell it is one, like "um zehn vor drei"
+  clockWords: ['um', 'uhr'],
+
+  times: [
+    {pattern: 'halb H', minutes: 30, to: true},
+    {pattern: 'viertel nach H', minutes: 15},
+    {pattern: 'viertel vor H', minutes: 15, to: true},
+    {pattern: 'dreiviertel H', minutes: 15, to: true},
+    {pattern: 'M minute|minuten nach H'},
+    {pattern: 'M nach H', ambiguous: true},
+    {pattern: 'M minute|minuten vor H', to: true},
+    {pattern: 'M vor H', to: true, ambiguous: true},
+    {pattern: 'H uhr M'},
+    {pattern: 'H uhr', minutes: 0}
+  ],
+
+  units: {
+    km: ['kilometer'],
+    m: ['meter'],
+    cm: ['zentimeter'],
+    mm: ['millimeter'],
+    kg: ['kilogramm', 'kilo'],
+    g: ['gramm'],
+    mg: ['milligramm'],
+    l: ['liter'],
+    ml: ['milliliter'],
+    h: ['stunde', 'stunden', 'std'],
+    min: ['minute', 'minuten'],
+    s: ['sekunde', 'sekunden', 'sek'],
+    percent: ['prozent'],
+    degrees: ['grad'],
+    dollars: ['dollar'],
+    euros: ['euro'],
+    pounds: ['pfund']
+  }
+};
@@ -0,0 +1,296 @@
+/**
+ * Number words
+ * Turns numbers spoken as words into digits, so an answer is the same
+ * whether the speech engine wrote "twenty-one" or "21". The words of each
+ * language are described by its locale, see SpokenForms.
+ */
+export default class NumberWords {
+
+  /**
+   * Initializes number words of a locale.
+   *
+   * @param {Object} locale Locale as described in SpokenForms
+   */
+  constructor(locale) {
+    this.numbers = locale.numbers;
+    this.ordinal = locale.ordinal;
+    this.ordinalMark = locale.ordinalMark || (() => 'º');
+    this.articles = locale.numbers.articles || [];
+
+    // Longest first, so compounds are split into the longest words possible
+    this.morphemes = !this.numbers.compounds ? null : [].concat(
+      this.numbers.zero,
+      Object.keys(this.numbers.units),
+      Object.keys(this.numbers.tens),
+      this.numbers.hundred,
+      Object.keys(this.numbers.hundreds),
+      Object.keys(this.numbers.scales),
+      this.numbers.and
+    ).sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Replace numbers written as words by digits, and ordinals by digits
+   * followed by º, or ª for feminine ordinals where the language marks them.
+   * Articles that also mean one are left alone.
+   * Expects normalized text, lower case with words separated by single spaces.
+   *
+   * @param {string} text Normalized text
+   * @return {string} Text with numbers as digits
+   */
+  toDigits(text) {
+    const words = [].concat(...text.split(' ').map(this.split.bind(this)));
+    const result = [];
+
+    let i = 0;
+    while (i < words.length) {
+      const number = this.parse(words, i);
+      if (number && !number.article) {
+        result.push(number.value + (number.ordinal ? number.mark : ''));
+        i += number.length;
+      }
+      else {
+        result.push(words[i]);
+        i++;
+      }
+    }
+
+    return result.join(' ');
+  }
+
+  /**
+   * Split a word made up of number words, like "einundzwanzig", for
+   * languages that write numbers as compounds.
+   *
+   * @param {string} word Normalized word
+   * @return {Array} Number words, or the word itself if it is not a compound
+   */
+  split(word) {
+    if (!this.morphemes || this.isNumberWord(word)) {
+      return [word];
+    }
+
+    const parts = [];
+    let rest = word;
+    while (rest) {
+      const morpheme = this.morphemes.filter(morpheme => rest.indexOf(morpheme) === 0)[0];
+      if (!morpheme) {
+        break;
+      }
+      parts.push(morpheme);
+      rest = rest.substr(morpheme.length);
+    }
+
+    // Whatever is left may make the last part an ordinal, like "zwanzigste"
+    if (rest) {
+      const last = parts.pop() + rest;
+      if (!parts.length || this.getCardinal(last) === null) {
+        return [word];
+      }
+      parts.push(last);
+    }
+
+    return parts.length > 1 ? parts : [word];
+  }
+
+  /**
+   * Parse the number spoken by the words starting at an index, like
+   * "three hundred and twenty one thousand". Digits are only taken
+   * together with the words for hundreds and larger numbers, like
+   * "3 million".
+   *
+   * @param {Array} words Normalized words
+   * @param {number} start Index of the first word
+   * @param {boolean} [ordinals=true] Whether the number may end with an ordinal
+   * @return {Object|null} Value of the number, number of words it spans,
+   *  whether it is an ordinal and the mark written after it, and whether it
+   *  is only an article like "un", null if there is no number at the index
+   */
+  parse(words, start, ordinals = true) {
+    if (this.numbers.zero.indexOf(words[start]) !== -1) {
+      return {value: 0, length: 1, ordinal: false, mark: '', article: false};
+    }
+
+    const state = {total: 0, current: 0, last: null, joined: false};
+    let ordinal = false;
+    let mark = '';
+    let length = 0;
+    let i = start;
+    while (i < words.length && !ordinal) {
+      let word = words[i];
+
+      if (/^\d+$/.test(word)) {
+        if (i !== start) {
+          break;
+        }
+        state.current = parseInt(word, 10);
+        state.last = 'digits';
+      }
+      else if (this.numbers.and.indexOf(word) !== -1 && length && !state.joined && i + 1 < words.length &&
+        (this.isNumberWord(words[i + 1]) || (ordinals && this.getCardinal(words[i + 1]) !== null))) {
+        // "one hundred and five", "one hundred and fifth"
+        state.joined = true;
+        i++;
+        continue;
+      }
+      else {
+        if (ordinals && !this.isNumberWord(word)) {
+          const cardinal = this.getCardinal(word);
+          if (cardinal !== null) {
+            mark = this.ordinalMark(word);
+            word = cardinal;
+            ordinal = true;
+          }
+        }
+        if (!this.accept(word, state)) {
+          ordinal = false;
+          break;
+        }
+      }
+
+      state.joined = false;
+      i++;
+      length = i - start;
+    }
+
+    if (!length || state.last === 'digits') {
+      return null;
+    }
+
+    return {
+      value: state.total + state.current,
+      length: length,
+      ordinal: ordinal,
+      mark: mark,
+      article: length === 1 && !ordinal && this.articles.indexOf(words[start]) !== -1
+    };
+  }
+
+  /**
+   * Add the value of a number word to a number being parsed, if the word
+   * may follow the words parsed so far.
+   *
+   * @param {string} word Normalized word
+   * @param {Object} state Number parsed so far, as {total, current, last, joined},
+   *  where last is the type of the last number word
+   * @return {boolean} True if the word was added
+   */
+  accept(word, state) {
+    const numbers = this.numbers;
+    const below = state.current % 100;
+
+    if (numbers.units.hasOwnProperty(word)) {
+      const unit = numbers.units[word];
+      if (state.last === 'digits') {
+        return false;
+      }
+      if (below !== 0 && !(state.last === 'tens' &&
+        ((unit < 10 && below % 10 === 0) || (unit < 20 && numbers.teensAfterTens.indexOf(below) !== -1)))) {
+        return false;
+      }
+      state.current += unit;
+      state.last = 'unit';
+    }
+    else if (numbers.tens.hasOwnProperty(word)) {
+      const tens = numbers.tens[word];
+      if (below === 0 && state.last !== 'digits') {
+        state.current += tens;
+      }
+      else if (numbers.unitsBeforeTens && state.joined && state.last === 'unit' && below < 10) {
+        // "ein und zwanzig"
+        state.current += tens;
+      }
+      else if (numbers.timesTwenty && tens === 20 && state.last === 'unit' && below > 1 && below < 10) {
+        // "quatre vingts"
+        state.current += below * 19;
+      }
+      else if (tens === 10 && state.last === 'tens' && numbers.teensAfterTens.indexOf(below) !== -1) {
+        // "soixante dix"
+        state.current += tens;
+      }
+      else {
+        return false;
+      }
+      state.last = 'tens';
+    }
+    else if (numbers.hundred.indexOf(word) !== -1) {
+      if (state.current === 0) {
+        state.current = 100;
+      }
+      else if (state.current < 10) {
+        state.current *= 100;
+      }
+      else {
+        return false;
+      }
+      state.last = 'hundred';
+    }
+    else if (numbers.hundreds.hasOwnProperty(word)) {
+      if (state.current !== 0) {
+        return false;
+      }
+      state.current = numbers.hundreds[word];
+      state.last = 'hundred';
+    }
+    else if (numbers.scales.hasOwnProperty(word)) {
+      const scale = numbers.scales[word];
+      if (state.total && state.total < scale * 1000) {
+        return false;
+      }
+      state.total += (state.current || 1) * scale;
+      state.current = 0;
+      state.last = 'scale';
+    }
+    else {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the cardinal number word of an ordinal, like "four" for "fourth".
+   *
+   * @param {string} word Normalized word
+   * @return {string|null} Cardinal, null if the word is not an ordinal
+   */
+  getCardinal(word) {
+    return this.ordinal(word).filter(this.isNumberWord.bind(this))[0] || null;
+  }
+
+  /**
+   * Get the digit a word stands for, for reading out the decimals of a
+   * number one digit at a time.
+   *
+   * @param {string} word Normalized word
+   * @return {string|null} Digits, null if the word is not a digit
+   */
+  getDigits(word) {
+    if (/^\d+$/.test(word)) {
+      return word;
+    }
+    if (this.numbers.zero.indexOf(word) !== -1) {
+      return '0';
+    }
+    if (this.numbers.units.hasOwnProperty(word) && this.numbers.units[word] < 10) {
+      return String(this.numbers.units[word]);
+    }
+    return null;
+  }
+
+  /**
+   * Check if a word is a number word.
+   *
+   * @param {string} word Normalized word
+   * @return {boolean} True if the word is part of how numbers are spoken
+   */
+  isNumberWord(word) {
+    const numbers = this.numbers;
+    return numbers.units.hasOwnProperty(word) ||
+      numbers.tens.hasOwnProperty(word) ||
+      numbers.hundreds.hasOwnProperty(word) ||
+      numbers.scales.hasOwnProperty(word) ||
+      numbers.hundred.indexOf(word) !== -1 ||
+      numbers.zero.indexOf(word) !== -1;
+  }
+}
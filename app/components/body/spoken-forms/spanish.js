@@ -0,0 +1,146 @@
+// Stems of ordinals, followed by "o", "a", "os" or "as"
+const ORDINALS = {
+  primer: 'uno',
+  segund: 'dos',
+  tercer: 'tres',
+  cuart: 'cuatro',
+  quint: 'cinco',
+  sext: 'seis',
+  septim: 'siete',
+  octav: 'ocho',
+  noven: 'nueve',
+  decim: 'diez'
+};
+
+/**
+ * Spanish spoken forms, see SpokenForms.
+ */
+export default {
+  numbers: {
+    zero: ['cero'],
+    units: {
+      un: 1,
+      uno: 1,
+      una: 1,
+      dos: 2,
+      tres: 3,
+      cuatro: 4,
+      cinco: 5,
+      seis: 6,
+      siete: 7,
+      ocho: 8,
+      nueve: 9,
+      diez: 10,
+      once: 11,
+      doce: 12,
+      trece: 13,
+      catorce: 14,
+      quince: 15,
+      dieciseis: 16,
+      diecisiete: 17,
+      dieciocho: 18,
+      diecinueve: 19,
+      veintiun: 21,
+      veintiuno: 21,
+      veintiuna: 21,
+      veintidos: 22,
+      veintitres: 23,
+      veinticuatro: 24,
+      veinticinco: 25,
+      veintiseis: 26,
+      veintisiete: 27,
+      veintiocho: 28,
+      veintinueve: 29
+    },
+    tens: {
+      veinte: 20,
+      treinta: 30,
+      cuarenta: 40,
+      cincuenta: 50,
+      sesenta: 60,
+      setenta: 70,
+      ochenta: 80,
+      noventa: 90
+    },
+    hundred: [],
+    hundreds: {
+      cien: 100,
+      ciento: 100,
+      doscientos: 200,
+      doscientas: 200,
+      trescientos: 300,
+      trescientas: 300,
+      cuatrocientos: 400,
+      cuatrocientas: 400,
+      quinientos: 500,
+      quinientas: 500,
+      seiscientos: 600,
+      seiscientas: 600,
+      setecientos: 700,
+      setecientas: 700,
+      ochocientos: 800,
+      ochocientas: 800,
+      novecientos: 900,
+      novecientas: 900
+    },
+    scales: {
+      mil: 1000,
+      millon: 1000000,
+      millones: 1000000
+    },
+    and: ['y'],
+    articles: ['un', 'una'],
+    teensAfterTens: []
+  },
+
+  ordinal: word => {
+    const stem = word.replace(/(o|a|os|as)$/, '');
+    return ORDINALS.hasOwnProperty(stem) ? [ORDINALS[stem]] : [];
+  },
+
+  ordinalMark: word => /as?$/.test(word) ? 'ª' : 'º',
+
+  decimal: 'coma',
+  separators: {
+    thousands: '.',
+    decimal: ','
+  },
+  notations: [
+    [/\b(\d+)\.?(?:ª|a)(?=\s|$)/g, '$1ª'],
+    [/\b(\d+)\.?(?:º|o|er)(?=\s|$)/g, '$1º']
+  ],
+
+  // Words next to a time that tell it is one, like "las tres y diez"
+  clockWords: ['la', 'las'],
+
+  times: [
+    {pattern: 'H y media', minutes: 30},
+    {pattern: 'H y cuarto', minutes: 15},
+    {pattern: 'H menos cuarto', minutes: 15, to: true},
+    {pattern: 'H en punto', minutes: 0},
+    {pattern: 'H y M minuto|minutos'},
+    {pattern: 'H y M', ambiguous: true},
+    {pattern: 'H menos M minuto|minutos', to: true},
+    {pattern: 'H menos M', to: true, ambiguous: true}
+  ],
+
+  units: {
+    km: ['kilometro', 'kilometros'],
+    m: ['metro', 'metros'],
+    cm: ['centimetro', 'centimetros'],
+    mm: ['milimetro', 'milimetros'],
+    kg: ['kilogramo', 'kilogramos', 'kilo', 'kilos'],
+    g: ['gramo', 'gramos'],
+    mg: ['miligramo', 'miligramos'],
+    l: ['litro', 'litros'],
+    ml: ['mililitro', 'mililitros'],
+    h: ['hora', 'horas'],
+    min: ['minuto', 'minutos'],
+    s: ['segundo', 'segundos'],
+    percent: ['por ciento', 'porciento'],
+    degrees: ['grado', 'grados'],
+    dollars: ['dolar', 'dolares'],
+    euros: ['euro', 'euros'],
+    pounds: ['libra', 'libras']
+  }
+};
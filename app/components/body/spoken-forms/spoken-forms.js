@@ -0,0 +1,317 @@
+import Util from '../../speak-the-words-util';
+import NumberWords from './number-words';
+import english from './english';
+import german from './german';
+import spanish from './spanish';
+import french from './french';
+
+// Locales by primary language subtag, languages without one fall back to English
+const LOCALES = {
+  en: english,
+  de: german,
+  es: spanish,
+  fr: french
+};
+
+// Canonical unit of symbols written next to numbers
+const SYMBOLS = {
+  '$': 'dollars',
+  '€': 'euros',
+  '£': 'pounds',
+  '%': 'percent',
+  '°': 'degrees'
+};
+
+// Units abbreviated the same way in all languages, longest first
+const ABBREVIATIONS = ['min', 'km', 'cm', 'mm', 'kg', 'mg', 'ml', 'm', 'g', 'l', 'h', 's'];
+
+const instances = {};
+
+/**
+ * Spoken forms
+ * Brings the many ways of writing numbers, ordinals, times and units into
+ * one canonical form, so an answer is the same whether the speech engine
+ * wrote "twenty-five past three" or "3:25", and "five kilometres" or "5 km":
+ * - numbers are written as digits, without thousands separators
+ * - decimals are written as digits around the decimal word of the language,
+ *   like "2 point 5"
+ * - ordinals are written as digits followed by º, or ª when the language
+ *   tells feminine ordinals apart, like "1ª" for "primera"
+ * - times are written as the hour followed by any minutes, like "3 25"
+ * - units are written as their abbreviation, like "km" or "percent"
+ *
+ * How numbers and times are spoken depends on the language, which is
+ * described by a locale. Words of a locale are written in lower case
+ * without diacritics, as they are after normalization.
+ */
+export default class SpokenForms {
+
+  /**
+   * @typedef {Object} SpokenFormsLocale
+   *
+   * @property {Object} numbers Number words, see NumberWords
+   * @property {function} ordinal Gets cardinals an ordinal word may stand for
+   * @property {function} [ordinalMark] Gets the mark written after the digits
+   *  of an ordinal word, º unless given
+   * @property {string} decimal Word separating decimals
+   * @property {Object} separators Characters separating thousands and decimals in digits
+   * @property {Array} notations Replacements for numbers written with digits
+   *  in ways of the language, like ordinals, as [RegExp, replacement]
+   * @property {Array} times Ways of telling the time as {pattern, minutes, to,
+   *  ambiguous}, where the pattern holds the hour as H and the minutes as M,
+   *  alternative words are separated by |, times "to" the hour are before it
+   *  and ambiguous ones, like "one to ten", are only times in context
+   * @property {Array} [clockWords] Words next to an ambiguous time that tell
+   *  it is one, like "pm"
+   * @property {Object} units Words for each unit, by abbreviation
+   */
+
+  /**
+   * Initializes spoken forms of a locale.
+   *
+   * @param {SpokenFormsLocale} locale
+   */
+  constructor(locale) {
+    this.locale = locale;
+    this.numberWords = new NumberWords(locale);
+
+    this.times = locale.times.map(time => ({
+      pattern: time.pattern.split(' ').map(word => word.split('|')),
+      minutes: time.minutes,
+      to: !!time.to,
+      ambiguous: !!time.ambiguous
+    }));
+    this.clockWords = locale.clockWords || [];
+
+    this.units = [];
+    Object.keys(locale.units).forEach(unit => {
+      [unit].concat(locale.units[unit]).forEach(words => {
+        this.units.push({unit: unit, words: words.split(' ')});
+      });
+    });
+    this.units.sort((a, b) => b.words.length - a.words.length);
+  }
+
+  /**
+   * Write numbers, times and units written with digits and symbols in the
+   * canonical form, before punctuation is removed from the text.
+   *
+   * @param {string} text Lower case text
+   * @return {string} Prepared text
+   */
+  prepare(text) {
+    const separators = this.locale.separators;
+    let prepared = text;
+
+    this.locale.notations.forEach(notation => {
+      prepared = prepared.replace(notation[0], notation[1]);
+    });
+
+    prepared = prepared
+      .replace(new RegExp('\\b\\d{1,3}(?:[' + Util.escapeRegExp(separators.thousands) + ']\\d{3})+(?!\\d)', 'g'),
+        number => number.replace(/\D/g, ''))
+      .replace(/\b(\d{1,2}):(\d{2})\b/g, (time, hour, minutes) => {
+        return minutes === '00' ? hour : hour + ' ' + minutes;
+      })
+      .replace(new RegExp('(\\d)' + Util.escapeRegExp(separators.decimal) + '(?=\\d)', 'g'),
+        '$1 ' + this.locale.decimal + ' ');
+
+    const number = '(\\d+(?: ' + this.locale.decimal + ' \\d+)?)';
+    return prepared
+      .replace(new RegExp('([$€£]) ?' + number, 'g'), (match, symbol, value) => {
+        return value + ' ' + SYMBOLS[symbol];
+      })
+      .replace(/(\d) ?([$€£%°])/g, (match, digit, symbol) => {
+        return digit + ' ' + SYMBOLS[symbol] + ' ';
+      })
+      .replace(new RegExp('(\\d)(' + ABBREVIATIONS.join('|') + ')\\b', 'g'), '$1 $2');
+  }
+
+  /**
+   * Write numbers, ordinals, times and units spoken as words in the
+   * canonical form.
+   * Expects normalized text, lower case with words separated by single
+   * spaces and without punctuation.
+   *
+   * @param {string} text Normalized text
+   * @param {boolean} [times=false] True if the text is known to be about
+   *  times, so ambiguous ones need no clock words
+   * @return {string} Text in canonical form
+   */
+  normalize(text, times = false) {
+    const words = [].concat(...text.split(' ').map(word => this.numberWords.split(word)));
+    const result = [];
+
+    let i = 0;
+    while (i < words.length) {
+      const time = this.parseTime(words, i, times);
+      if (time) {
+        result.push(time.text);
+        i += time.length;
+        continue;
+      }
+
+      const number = this.parseNumber(words, i);
+      const unit = number && !number.ordinal ? this.parseUnit(words, i + number.length) : null;
+
+      // Articles like "un" are only numbers when counting something, like "un kilo"
+      if (number && (!number.article || unit)) {
+        result.push(number.text);
+        i += number.length;
+
+        if (unit) {
+          result.push(unit.text);
+          i += unit.length;
+        }
+        continue;
+      }
+
+      result.push(words[i]);
+      i++;
+    }
+
+    return result.join(' ');
+  }
+
+  /**
+   * Parse the number starting at an index, with any decimals.
+   *
+   * @param {Array} words Normalized words
+   * @param {number} start Index of the first word
+   * @return {Object|null} Number in canonical form, number of words it
+   *  spans, whether it is an ordinal and whether it is only an article,
+   *  null if there is no number
+   */
+  parseNumber(words, start) {
+    const number = this.numberWords.parse(words, start);
+    if (number && number.ordinal) {
+      return {text: number.value + number.mark, length: number.length, ordinal: true, article: false};
+    }
+
+    let text;
+    let length;
+    let article = false;
+    if (number) {
+      article = number.article;
+      text = String(number.value);
+      length = number.length;
+    }
+    else if (/^\d+$/.test(words[start])) {
+      text = words[start];
+      length = 1;
+    }
+    else {
+      return null;
+    }
+
+    // Decimals are often read out one digit at a time
+    if (words[start + length] === this.locale.decimal) {
+      let decimals = '';
+      let i = start + length + 1;
+      while (i < words.length && this.numberWords.getDigits(words[i]) !== null) {
+        decimals += this.numberWords.getDigits(words[i]);
+        i++;
+      }
+      if (decimals) {
+        text += ' ' + this.locale.decimal + ' ' + decimals;
+        length = i - start;
+        article = false;
+      }
+    }
+
+    return {text: text, length: length, ordinal: false, article: article};
+  }
+
+  /**
+   * Parse the time starting at an index, like "half past three".
+   *
+   * @param {Array} words Normalized words
+   * @param {number} start Index of the first word
+   * @param {boolean} [times=false] True if the words are known to be about
+   *  times, see normalize()
+   * @return {Object|null} Time in canonical form and number of words it
+   *  spans, null if there is no time
+   */
+  parseTime(words, start, times = false) {
+    for (let t = 0; t < this.times.length; t++) {
+      const time = this.times[t];
+      let hour = null;
+      let minutes = time.minutes;
+      let i = start;
+
+      const matches = time.pattern.every(alternatives => {
+        const placeholder = alternatives[0];
+        if (placeholder !== 'H' && placeholder !== 'M') {
+          return alternatives.indexOf(words[i++]) !== -1;
+        }
+
+        const number = this.numberWords.parse(words, i, false) ||
+          (/^\d{1,2}$/.test(words[i]) ? {value: parseInt(words[i], 10), length: 1} : null);
+        if (!number) {
+          return false;
+        }
+        i += number.length;
+
+        if (placeholder === 'H') {
+          hour = number.value;
+          return hour <= 24;
+        }
+        minutes = number.value;
+        return minutes > 0 && minutes < 60;
+      });
+
+      // "From one to ten" is no time unless a clock word tells otherwise
+      if (matches && time.ambiguous && !times &&
+          this.clockWords.indexOf(words[start - 1]) === -1 && this.clockWords.indexOf(words[i]) === -1) {
+        continue;
+      }
+
+      if (matches) {
+        if (time.to) {
+          hour = hour === 1 ? 12 : (hour === 0 ? 23 : hour - 1);
+          minutes = 60 - minutes;
+        }
+        return {
+          text: hour + (minutes ? ' ' + (minutes < 10 ? '0' : '') + minutes : ''),
+          length: i - start
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse the unit starting at an index.
+   *
+   * @param {Array} words Normalized words
+   * @param {number} start Index of the first word
+   * @return {Object|null} Unit in canonical form and number of words it
+   *  spans, null if there is no unit
+   */
+  parseUnit(words, start) {
+    const unit = this.units.filter(unit => {
+      return unit.words.every((word, index) => words[start + index] === word);
+    })[0];
+
+    return unit ? {text: unit.unit, length: unit.words.length} : null;
+  }
+
+  /**
+   * Get spoken forms of a language.
+   *
+   * @param {string} [language] BCP 47 language tag, e.g. 'en-US'
+   * @return {SpokenForms} Spoken forms, English ones if the language is not known
+   */
+  static forLanguage(language) {
+    let key = (language || '').split('-')[0].toLowerCase();
+    if (!LOCALES.hasOwnProperty(key)) {
+      key = 'en';
+    }
+
+    if (!instances[key]) {
+      instances[key] = new SpokenForms(LOCALES[key]);
+    }
+    return instances[key];
+  }
+}
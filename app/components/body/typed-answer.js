@@ -0,0 +1,133 @@
+import React from 'react';
+import './styles/typed-answer.css';
+import {decode} from 'he';
+import Util from '../speak-the-words-util';
+
+/**
+ * Typed answer component
+ * Lets the user type the answer when speech can not be recognized,
+ * switching between the same task states as the record button:
+ * - ready for input
+ * - disabled
+ * - hidden
+ */
+export default class TypedAnswer extends React.Component {
+
+  /**
+   * Initializes component ready for input.
+   *
+   * @param {Object} props
+   * @param {Object} props.eventStore A central store for events
+   * @param {function} props.onAnswer Called with the typed answer
+   * @param {boolean} [props.locked] Keeps input disabled while true
+   * @param {SpeakTheWordsTranslations} props.l10n
+   */
+  constructor(props) {
+    super(props);
+    this.eventStore = props.eventStore;
+
+    this.initialState = {
+      value: '',
+      disabled: false,
+      hidden: false
+    };
+    this.state = this.initialState;
+
+    this.removeListeners = Util.listenTo(this.eventStore, {
+      'reset-task': () => {
+        this.setState(this.initialState);
+      },
+      'show-solution': () => {
+        this.setState({hidden: true});
+      },
+      'answered-correctly': () => {
+        this.setState({hidden: true});
+      },
+      'answered-wrong': () => {
+        this.setState({disabled: true});
+      },
+      'restore-state': (e) => {
+        this.setState(e.data.answeredCorrectly ? {hidden: true} : {disabled: true});
+      }
+    });
+  }
+
+  /**
+   * Stop listening to events when the component is removed.
+   */
+  componentWillUnmount() {
+    this.removeListeners();
+  }
+
+  /**
+   * Keep track of what the user types.
+   *
+   * @param {Object} e Synthetic React event
+   */
+  handleChange(e) {
+    this.setState({value: e.target.value});
+  }
+
+  /**
+   * Answer with what the user has typed.
+   *
+   * @param {Object} e Synthetic React event
+   */
+  handleSubmit(e) {
+    e.preventDefault();
+
+    const answer = this.state.value.trim();
+    if (this.isDisabled() || !answer) {
+      return;
+    }
+
+    this.props.onAnswer(answer);
+  }
+
+  /**
+   * Check if the user can not type an answer right now.
+   *
+   * @return {boolean} True if input is disabled
+   */
+  isDisabled() {
+    return this.state.disabled || !!this.props.locked;
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    if (this.state.hidden) {
+      return null;
+    }
+
+    const l10n = this.props.l10n;
+    return (
+      <form className="h5p-speak-the-words-typed" onSubmit={this.handleSubmit.bind(this)}>
+        <div className="h5p-speak-the-words-typed-notice">
+          {decode(l10n.typedFallbackText)}
+        </div>
+        <input
+          type="text"
+          className="h5p-speak-the-words-typed-input"
+          value={this.state.value}
+          disabled={this.isDisabled()}
+          aria-label={decode(l10n.typedAnswerLabel)}
+          placeholder={decode(l10n.typedAnswerLabel)}
+          autoComplete="off"
+          spellCheck="false"
+          onChange={this.handleChange.bind(this)}
+        />
+        <button
+          type="submit"
+          className="h5p-speak-the-words-typed-submit h5p-joubelui-button"
+          disabled={this.isDisabled()}
+        >
+          {decode(l10n.submitAnswerLabel)}
+        </button>
+      </form>
+    );
+  }
+}
@@ -0,0 +1,87 @@
+import React from 'react';
+import './styles/word-diff.css';
+import {decode} from 'he';
+
+/**
+ * Word diff component
+ * Lines up the words of the user's answer with the words of the closest
+ * accepted answer, marking words that match, are missing, are extra
+ * or were substituted by a different word.
+ */
+export default class WordDiff extends React.Component {
+
+  /**
+   * Get text read by assistive technologies for a word.
+   *
+   * @param {Object} word Entry of the word diff
+   * @return {string} Description of the word
+   */
+  getReadableText(word) {
+    const l10n = this.props.l10n;
+
+    switch (word.type) {
+      case 'missing':
+        return decode(l10n.a11yMissingWord).replace(/@word/g, word.expected);
+      case 'extra':
+        return decode(l10n.a11yExtraWord).replace(/@word/g, word.actual);
+      case 'substituted':
+        return decode(l10n.a11ySubstitutedWord)
+          .replace(/@actual/g, word.actual)
+          .replace(/@expected/g, word.expected);
+      default:
+        return decode(l10n.a11yCorrectWord).replace(/@word/g, word.expected);
+    }
+  }
+
+  /**
+   * Renders a single word of the diff.
+   *
+   * @param {Object} word Entry of the word diff
+   * @param {number} index Position of the word
+   * @return {String} JSX component
+   */
+  renderWord(word, index) {
+    let content;
+    switch (word.type) {
+      case 'missing':
+        content = <ins>{word.expected}</ins>;
+        break;
+      case 'extra':
+        content = <del>{word.actual}</del>;
+        break;
+      case 'substituted':
+        content = [
+          <del key="actual">{word.actual}</del>,
+          <ins key="expected">{word.expected}</ins>
+        ];
+        break;
+      default:
+        content = word.expected;
+    }
+
+    return (
+      <span key={index} className={'h5p-speak-the-words-word ' + word.type}>
+        <span className="h5p-speak-the-words-hidden-but-read">
+          {this.getReadableText(word)}
+        </span>
+        <span aria-hidden="true">{content}</span>
+      </span>
+    );
+  }
+
+  /**
+   * Renders the component
+   *
+   * @return {String} JSX component
+   */
+  render() {
+    return (
+      <div className="h5p-speak-the-words-word-diff">
+        <div>{decode(this.props.l10n.wordDiffText)}</div>
+        <div className="h5p-speak-the-words-word-diff-words">
+          {this.props.diff.map(this.renderWord.bind(this))}
+        </div>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,398 @@
+import { decode } from 'he';
+import AnswerMatcher from './body/answer-matcher';
+import AnswerPattern from './body/answer-pattern';
+
+/**
+ * Prompt
+ * Keeps track of a single question with its accepted answers,
+ * and the result of answering it.
+ *
+ * A prompt with a passage is read aloud instead, with the passage as its
+ * only accepted answer. Words that are not read correctly cost credit.
+ */
+export default class Prompt {
+
+  /**
+   * @typedef {Object} PromptParameters
+   *
+   * @property {string} question Question text
+   * @property {Array} acceptedAnswers All accepted spoken answers as specified by the author,
+   * which may be written as patterns, see AnswerPattern
+   * @property {Array} answerAudio Recordings of how accepted answers should sound,
+   * as {answer, audio} where audio holds the files uploaded by the author
+   * @property {Array} hints Hints revealed one at a time after failed attempts
+   * @property {Array} [wrongAnswers] Common wrong answers as {answer, feedback},
+   * where the answer may be written as a pattern and the feedback is shown
+   * when the user gives it
+   * @property {string} [passage] Text to read aloud instead of answering the question
+   * @property {Array} [questionAudio] Recording of the question, like the line
+   * of the partner in a dialogue, as the files uploaded by the author
+   */
+
+  /**
+   * @typedef {Object} ReadingResult
+   *
+   * @property {Array} parts Parts of the passage and how they were read,
+   * see AnswerMatcher.getReading()
+   * @property {number} total Number of words in the passage
+   * @property {number} read Number of words read correctly
+   * @property {number} misread Number of words read wrong
+   * @property {Array} skippedWords Words left out, including the ones after
+   * where the user stopped reading
+   * @property {number} accuracy Percentage of the words read correctly
+   */
+
+  /**
+   * @typedef {Object} PromptState
+   *
+   * @property {Array} userAnswers Alternatives of the last answer as interpreted by the speech engine
+   * @property {number} score Score of the last answer
+   * @property {boolean} answered Whether the prompt has been answered
+   * @property {boolean} showingSolution Whether the solution is shown
+   * @property {number} attempts Number of answers given
+   * @property {boolean} typed Whether the last answer was typed rather than spoken
+   * @property {number|null} confidence Confidence of the speech engine in the last answer
+   */
+
+  /**
+   * @typedef {Object} PromptRecognition
+   *
+   * @property {Array} alternatives Everything the speech engine heard, as
+   * {transcript, confidence}
+   * @property {number} duration Seconds the user spoke
+   * @property {string|null} recordingId Id of the recording of the answer, if any
+   */
+
+  /**
+   * Initializes prompt without any answer.
+   *
+   * @param {PromptParameters} params Author specified parameters for the prompt
+   * @param {SpeakTheWordsBehaviour} behaviour Behavioural settings
+   * @param {string} [language] Language the answers are spoken in
+   */
+  constructor(params, behaviour, language) {
+    this.language = language;
+    this.question = params.question || '';
+    this.passage = params.passage ? decode(params.passage).trim() : '';
+    this.acceptedAnswers = this.passage ?
+      [AnswerPattern.toLiteral(this.passage)] :
+      (params.acceptedAnswers || []).map(decode);
+    this.hints = (params.hints || []).filter(hint => hint).map(decode);
+    this.wrongAnswers = this.passage ? [] : (params.wrongAnswers || []).filter(wrong => {
+      return wrong.answer;
+    }).map(wrong => ({answer: decode(wrong.answer), feedback: wrong.feedback || ''}));
+    this.scoring = behaviour.scoring;
+    this.maxAttempts = behaviour.maxAttempts || 0;
+    this.solutionAfterAttempts = behaviour.solutionAfterAttempts || 1;
+    this.answerMatcher = new AnswerMatcher(this.acceptedAnswers, behaviour.matchTolerance,
+      (behaviour.minConfidence || 0) / 100, language, this.wrongAnswers.map(wrong => wrong.answer));
+    this.examples = this.answerMatcher.getExamples();
+    this.spokenExamples = this.answerMatcher.getSpokenExamples();
+    this.questionAudio = params.questionAudio && params.questionAudio.length ? params.questionAudio : null;
+    this.answerAudio = (params.answerAudio || []).filter(pronunciation => {
+      return pronunciation.answer && pronunciation.audio && pronunciation.audio.length;
+    });
+    this.maxScore = this.computeMaxScore();
+    this.attempts = 0;
+    this.recording = null;
+    this.reset();
+  }
+
+  /**
+   * Forget the answer given and its recording, but not the number of attempts.
+   */
+  reset() {
+    this.setRecording(null);
+    this.userAnswers = [];
+    this.response = undefined;
+    this.correct = false;
+    this.answered = false;
+    this.showingSolution = false;
+    this.typed = false;
+    this.recognition = null;
+    this.confidence = null;
+    this.unclear = false;
+    this.readingResult = null;
+    this.wrongAnswer = null;
+    this.score = 0;
+  }
+
+  /**
+   * Check if the prompt is a passage to read aloud.
+   *
+   * @return {boolean} True if the user reads a passage aloud
+   */
+  isReading() {
+    return !!this.passage;
+  }
+
+  /**
+   * Score the alternatives given by the speech engine.
+   * Credits the user if any of the alternatives match an accepted answer,
+   * otherwise scores the alternative that matched a wrong answer, or the
+   * one that came closest.
+   *
+   * @param {Array} alternatives User answers as interpreted by the speech engine
+   * @param {number} [score] Previously computed score to use instead of scoring again
+   * @return {string} The alternative that was scored
+   */
+  answer(alternatives, score) {
+    const match = this.answerMatcher.findMatch(alternatives);
+    const wrong = match ? null : this.answerMatcher.findWrongAnswer(alternatives);
+    const closest = match || this.answerMatcher.findClosest(wrong ? [wrong.response] : alternatives);
+
+    this.userAnswers = alternatives;
+    this.correct = match !== null;
+    this.wrongAnswer = wrong ? this.wrongAnswers[wrong.index] : null;
+    this.response = closest ? closest.response : alternatives[0];
+    this.answered = true;
+    this.readingResult = this.isReading() ? this.getReadingResult(this.response) : null;
+
+    if (score !== undefined) {
+      this.score = score;
+    }
+    else {
+      this.score = this.correct ? this.maxScore : this.getPartialScore(closest);
+    }
+
+    return this.response;
+  }
+
+  /**
+   * Set how confident the speech engine was about the response.
+   * An accepted response the speech engine was not confident enough about
+   * is unclear, and gets no credit.
+   *
+   * @param {number|null} confidence Confidence of the speech engine, 0 to 1,
+   *  null if it is not known
+   */
+  setConfidence(confidence) {
+    this.confidence = confidence;
+    this.unclear = this.correct && !this.answerMatcher.isConfident(confidence);
+    if (this.unclear) {
+      this.correct = false;
+      this.score = 0;
+    }
+  }
+
+  /**
+   * Get score for the correct words of an answer that was not accepted.
+   *
+   * @param {Object|null} closest Alternative that came closest to an accepted answer
+   * @return {number} Score
+   */
+  getPartialScore(closest) {
+    if (!closest || this.scoring === 'answer') {
+      return 0;
+    }
+
+    if (this.readingResult) {
+      const result = this.readingResult;
+      return result.total ? Math.floor(this.maxScore * result.read / result.total) : 0;
+    }
+
+    const diff = this.answerMatcher.getWordDiff(closest.response, closest.answer);
+    const matched = diff.filter(word => word.type === 'match').length;
+
+    return diff.length ? Math.floor(this.maxScore * matched / diff.length) : 0;
+  }
+
+  /**
+   * Find out how well the passage was read aloud.
+   *
+   * @param {string} response Passage as read by the user
+   * @return {ReadingResult} Result of reading the passage
+   */
+  getReadingResult(response) {
+    const parts = this.answerMatcher.getReading(response, this.passage);
+    const count = type => parts.filter(part => part.type === type).length;
+    const total = parts.filter(part => part.type !== null).length;
+    const read = count('read');
+
+    return {
+      parts: parts,
+      total: total,
+      read: read,
+      misread: count('misread'),
+      skippedWords: parts
+        .filter(part => part.type === 'skipped' || part.type === 'unread')
+        .map(part => part.text),
+      accuracy: total ? Math.round(100 * read / total) : 0
+    };
+  }
+
+  /**
+   * Get how many words of the passage were read correctly per minute,
+   * a common measure of reading fluency.
+   *
+   * @return {number|null} Words per minute, null if not known
+   */
+  getWordsPerMinute() {
+    const duration = this.recognition && this.recognition.duration;
+    if (!this.readingResult || !duration) {
+      return null;
+    }
+
+    return Math.round(this.readingResult.read * 60 / duration);
+  }
+
+  /**
+   * Compute maximum score from scoring mode.
+   * When scoring per word, the longest accepted answer decides the maximum.
+   *
+   * @return {number} Maximum score.
+   */
+  computeMaxScore() {
+    switch (this.scoring) {
+      case 'words':
+        if (this.isReading()) {
+          return Math.max(1, AnswerMatcher.getWords(this.passage, this.language).length);
+        }
+        return Math.max(1, ...this.examples.map(answer => {
+          return AnswerMatcher.getWords(answer, this.language).length;
+        }));
+      case 'percentage':
+        return 100;
+      default:
+        return 1;
+    }
+  }
+
+  /**
+   * Get number of answers given that were not accepted.
+   *
+   * @return {number} Number of failed attempts
+   */
+  getFailedAttempts() {
+    return this.attempts - (this.correct ? 1 : 0);
+  }
+
+  /**
+   * Get the hints revealed so far, one for each failed attempt.
+   *
+   * @return {Array} Hints
+   */
+  getHints() {
+    return this.hints.slice(0, this.getFailedAttempts());
+  }
+
+  /**
+   * Get the feedback the author wrote for the wrong answer given, if any.
+   *
+   * @return {string|null} Feedback, null if the answer was not a known wrong answer
+   */
+  getWrongAnswerFeedback() {
+    return this.wrongAnswer && this.wrongAnswer.feedback ? this.wrongAnswer.feedback : null;
+  }
+
+  /**
+   * Get number of attempts left.
+   *
+   * @return {number} Attempts left, Infinity if there is no limit
+   */
+  getAttemptsLeft() {
+    return this.maxAttempts ? Math.max(0, this.maxAttempts - this.attempts) : Infinity;
+  }
+
+  /**
+   * Check if the user may answer again after a failed attempt.
+   *
+   * @return {boolean} True if there are attempts left
+   */
+  canRetry() {
+    return this.getAttemptsLeft() > 0;
+  }
+
+  /**
+   * Check if the user has tried enough times to be shown the solution.
+   *
+   * @return {boolean} True if the solution may be shown
+   */
+  isSolutionUnlocked() {
+    return this.getFailedAttempts() >= this.solutionAfterAttempts || !this.canRetry();
+  }
+
+  /**
+   * Check if the user is done with the prompt, having answered it correctly,
+   * used up all attempts or been shown the solution.
+   *
+   * @return {boolean} True if there is nothing more to do
+   */
+  isFinished() {
+    return this.correct || this.showingSolution || (this.answered && !this.canRetry());
+  }
+
+  /**
+   * Get the recording of how an accepted answer should sound.
+   *
+   * @param {string} answer Accepted answer
+   * @return {Array|null} Audio files uploaded by the author, if any
+   */
+  getAnswerAudio(answer) {
+    const normalized = AnswerMatcher.normalize(answer, this.language);
+    const pronunciation = this.answerAudio.filter(pronunciation => {
+      return AnswerMatcher.normalize(decode(pronunciation.answer), this.language) === normalized;
+    })[0];
+
+    return pronunciation ? pronunciation.audio : null;
+  }
+
+  /**
+   * Set recording of the answer, releasing any previous recording.
+   *
+   * @param {string|null} recording Object URL of the recorded audio
+   */
+  setRecording(recording) {
+    if (this.recording) {
+      URL.revokeObjectURL(this.recording);
+    }
+    this.recording = recording;
+  }
+
+  /**
+   * Get result of the prompt for summaries.
+   *
+   * @return {string} One of 'unanswered', 'correct', 'partial' or 'incorrect'
+   */
+  getResult() {
+    if (!this.answered) {
+      return 'unanswered';
+    }
+    if (this.correct) {
+      return 'correct';
+    }
+    return this.score > 0 ? 'partial' : 'incorrect';
+  }
+
+  /**
+   * Get current state of the prompt for saving.
+   *
+   * @return {PromptState} Current state
+   */
+  getCurrentState() {
+    return {
+      userAnswers: this.userAnswers,
+      score: this.score,
+      answered: this.answered,
+      showingSolution: this.showingSolution,
+      attempts: this.attempts,
+      typed: this.typed,
+      confidence: this.confidence
+    };
+  }
+
+  /**
+   * Put the prompt back into a previously saved state.
+   *
+   * @param {PromptState} state State to restore
+   */
+  restoreState(state) {
+    this.attempts = state.attempts || 0;
+    this.showingSolution = !!state.showingSolution;
+    if (state.answered && state.userAnswers && state.userAnswers.length) {
+      this.answer(state.userAnswers, state.score);
+      this.setConfidence(typeof state.confidence === 'number' ? state.confidence : null);
+      this.typed = !!state.typed;
+    }
+  }
+}
@@ -1,3 +1,9 @@
+// Formatting authors may use in the task description, as in semantics.json
+const ALLOWED_TAGS = ['p', 'br', 'strong', 'em', 'u', 'sub', 'sup', 'ul', 'ol', 'li'];
+
+// Elements removed along with their content
+const DROPPED_TAGS = ['script', 'style', 'noscript'];
+
 /** Class for utility functions */
 class Util {
   /**
@@ -20,6 +26,122 @@ class Util {
     }
     return arguments[0];
   }
+
+  /**
+   * Get input level from the waveform of an AnalyserNode.
+   * @param {AnalyserNode} analyser Analyser of the microphone input.
+   * @return {number} Level between 0 and 1.
+   */
+  static getInputLevel(analyser) {
+    const samples = new Uint8Array(analyser.fftSize);
+    analyser.getByteTimeDomainData(samples);
+
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const amplitude = (samples[i] - 128) / 128;
+      sum += amplitude * amplitude;
+    }
+
+    // Speech rarely gets anywhere near full scale, so the level is amplified
+    return Math.min(1, Math.sqrt(sum / samples.length) * 4);
+  }
+
+  /**
+   * Check if an input level is loud enough to be sound rather than silence.
+   * @param {number} level Level between 0 and 1.
+   * @return {boolean} True if there is sound.
+   */
+  static isSound(level) {
+    return level >= 0.1;
+  }
+
+  /**
+   * Escape text for use in a regular expression.
+   * @param {string} text Text to escape.
+   * @return {string} Escaped text.
+   */
+  static escapeRegExp(text) {
+    return text.replace(/[\-\[\]\/{}()*+?.\\^$|#]/g, '\\$&');
+  }
+
+  /**
+   * Keep only the formatting authors may use in HTML, so it can be rendered
+   * safely. Other elements are replaced by their content and all attributes
+   * are removed.
+   * @param {string} html HTML written by the author.
+   * @return {string} Sanitized HTML.
+   */
+  static sanitizeHTML(html) {
+    // Parsed in a document of its own, which neither runs scripts nor loads images
+    const source = document.implementation.createHTMLDocument('');
+    source.body.innerHTML = html || '';
+
+    const target = document.createElement('div');
+    this.copyAllowedNodes(source.body, target);
+    return target.innerHTML;
+  }
+
+  /**
+   * Get the text of HTML written by the author, for where formatting can
+   * not be shown. Paragraphs, list items and line breaks are kept apart.
+   * @param {string} html HTML written by the author.
+   * @return {string} Plain text.
+   */
+  static stripHTML(html) {
+    const source = document.implementation.createHTMLDocument('');
+    source.body.innerHTML = html || '';
+
+    const target = document.createElement('div');
+    this.copyAllowedNodes(source.body, target);
+    Array.prototype.forEach.call(target.querySelectorAll('p, li, br'), element => {
+      element.parentNode.insertBefore(document.createTextNode(' '), element.nextSibling);
+    });
+
+    return target.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Copy the text and allowed elements in one node into another.
+   * @param {Node} from Node to copy the children of.
+   * @param {Node} to Node to copy into.
+   */
+  static copyAllowedNodes(from, to) {
+    Array.prototype.forEach.call(from.childNodes, node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        to.appendChild(document.createTextNode(node.textContent));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+
+      const tag = node.nodeName.toLowerCase();
+      if (ALLOWED_TAGS.indexOf(tag) !== -1) {
+        const element = document.createElement(tag);
+        to.appendChild(element);
+        this.copyAllowedNodes(node, element);
+      }
+      else if (DROPPED_TAGS.indexOf(tag) === -1) {
+        this.copyAllowedNodes(node, to);
+      }
+    });
+  }
+
+  /**
+   * Listen to events of an event store, e.g. for as long as a component
+   * is mounted.
+   * @param {Object} eventStore Store to listen to.
+   * @param {Object} handlers Handler for each event type.
+   * @return {function} Stops listening to all the events.
+   */
+  static listenTo(eventStore, handlers) {
+    const types = Object.keys(handlers);
+    types.forEach(type => eventStore.on(type, handlers[type]));
+
+    return () => {
+      types.forEach(type => eventStore.off(type, handlers[type]));
+    };
+  }
 }
 
 export default Util;
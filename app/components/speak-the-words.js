@@ -1,14 +1,68 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
 import './styles/speak-the-words.css';
-import 'annyang';
-import { decode } from 'he';
+import { decode, escape } from 'he';
 
 import SpeechEngine from './body/speech-engine';
+import SpeechError from './body/speech-error';
+import ListeningStatus from './body/listening-status';
+import AutoStop from './body/auto-stop';
+import Recognizer from './body/recognizers/recognizer';
+import createRecognizer from './body/recognizers/create-recognizer';
 import RecordButton from './body/record-button';
+import TypedAnswer from './body/typed-answer';
 import ShowSolution from './body/show-solution';
+import PromptProgress from './body/prompt-progress';
+import RecordingPlayback from './body/recording-playback';
+import ListenButton from './body/listen-button';
+import PromptHints from './body/prompt-hints';
+import ReadingPassage from './body/reading-passage';
+import DialogueHistory from './body/dialogue-history';
+import Prompt from './speak-the-words-prompt';
 import Util from './speak-the-words-util';
 
+// xAPI result extension reporting the number of attempts
+const XAPI_ATTEMPTS_EXTENSION = 'https://h5p.org/x-api/speak-the-words/attempts';
+
+// xAPI result extension reporting whether the answer was spoken or typed
+const XAPI_INPUT_MODE_EXTENSION = 'https://h5p.org/x-api/speak-the-words/input-mode';
+
+// xAPI result extension reporting the language the answer was expected in
+const XAPI_INPUT_LANGUAGE_EXTENSION = 'https://h5p.org/x-api/speak-the-words/input-language';
+
+// xAPI result extension reporting everything that was heard, with confidence
+const XAPI_ALTERNATIVES_EXTENSION = 'https://h5p.org/x-api/speak-the-words/alternatives';
+
+// xAPI result extension reporting how long the user spoke
+const XAPI_DURATION_EXTENSION = 'https://h5p.org/x-api/speak-the-words/duration';
+
+// xAPI result extension referencing the recording of the answer
+const XAPI_RECORDING_EXTENSION = 'https://h5p.org/x-api/speak-the-words/recording';
+
+// xAPI result extension reporting how far the user has come, in percent
+const XAPI_PROGRESS_EXTENSION = 'https://w3id.org/xapi/cmi5/result/extensions/progress';
+
+// xAPI result extension reporting the percentage of a passage read correctly
+const XAPI_ACCURACY_EXTENSION = 'https://h5p.org/x-api/speak-the-words/accuracy';
+
+// xAPI result extension reporting the words of a passage read correctly per minute
+const XAPI_WORDS_PER_MINUTE_EXTENSION = 'https://h5p.org/x-api/speak-the-words/words-per-minute';
+
+// xAPI result extension reporting the words of a passage that were not read
+const XAPI_SKIPPED_WORDS_EXTENSION = 'https://h5p.org/x-api/speak-the-words/skipped-words';
+
+// xAPI context extension tagging statements made after the solution was shown
+const XAPI_SOLUTION_VIEWED_EXTENSION = 'https://h5p.org/x-api/speak-the-words/solution-viewed';
+
+// xAPI verb for revealing the solution, not among the verbs known by H5P
+const XAPI_VIEWED_VERB = {
+  id: 'http://id.tincanapi.com/verb/viewed',
+  display: {'en-US': 'viewed'}
+};
+
+// Recognition errors that mean the microphone can not be used
+const MICROPHONE_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture'];
+
 /**
  * Speak the words
  * Wraps the whole content type and keeps track of rendering the main components
@@ -20,11 +74,53 @@ export default class {
    * @typedef {Object} SpeakTheWordsParameters
    *
    * @property {SpeakTheWordsTranslations} l10n Translation strings
+   * @property {string} mode Kind of task, 'answer' for answering the question,
+   * 'readAloud' for reading the passage aloud or 'dialogue' for replying to
+   * the turns of a dialogue
    * @property {string} question Question text
+   * @property {string} passage Text to read aloud in 'readAloud' mode
+   * @property {Array} turns Turns of the dialogue in 'dialogue' mode, as
+   * {line, audio, acceptedAnswers, wrongAnswers} where audio is a recording of the line
+   * @property {Object} media Image, audio or video shown with the task,
+   * as {type, disableImageZooming} where type holds the library parameters
    * @property {Array} acceptedAnswers All accepted spoken answers as specified by the author
+   * @property {Array} answerAudio Recordings of how accepted answers should sound
+   * @property {Array} hints Hints revealed one at a time after failed attempts
+   * @property {Array} wrongAnswers Common wrong answers with the feedback shown for them
+   * @property {Array} prompts Additional prompts, turning the task into a speaking drill
    * @property {string} incorrectAnswerText Text for saying the an answer was incorrect
    * @property {string} correctAnswerText Text labeling the correct answers
+   * @property {string} partiallyCorrectAnswerText
+   * Text for saying that some of the words in an answer were correct
    * @property {string} inputLanguage Language that input is expected as
+   * @property {SpeakTheWordsBehaviour} behaviour Behavioural settings
+   */
+
+  /**
+   * @typedef {Object} SpeakTheWordsBehaviour
+   *
+   * @property {string} matchTolerance How close a response must be to an
+   * accepted answer, one of 'exact', 'normalized', 'low' or 'high'
+   * @property {string} scoring How answers are scored, one of 'answer',
+   * 'words' or 'percentage'
+   * @property {number} maxAttempts Number of answers allowed per prompt, 0 for unlimited
+   * @property {number} solutionAfterAttempts
+   * Number of failed attempts before the solution can be shown
+   * @property {string} recognizer Speech recognition backend, one of 'auto',
+   * 'annyang', 'webSpeech' or 'http'
+   * @property {string} recognizerEndpoint URL of the speech recognition server
+   * used by the 'http' backend
+   * @property {boolean} enableTypedFallback Let the user type the answer when
+   * speech can not be recognized
+   * @property {string} listeningMode How the user starts and stops speaking,
+   * one of 'toggle', 'hold' or 'auto'
+   * @property {number} silenceTimeout
+   * Seconds of silence before listening stops in 'auto' mode
+   * @property {number} maxDuration Seconds before listening stops in 'auto' mode
+   * @property {number} minConfidence Minimum confidence of the speech engine,
+   * in percent, for an accepted answer to get credit
+   * @property {boolean} requirePromptAudio
+   * Only let the user answer once the audio of the task has played to the end
    */
 
   /**
@@ -36,11 +132,57 @@ export default class {
    * @property {Array} acceptedAnswers Accepted answers by the speech engine
    * @property {string} listeningLabel Button label when listening for speech
    * @property {string} speakLabel Button label for activating listening for speech
+   * @property {string} holdToSpeakLabel
+   * Button label for listening for speech while the button is held
    * @property {string} unsupportedBrowserHeader
    * Header text explaining that a browser is unsupported
    * @property {string} unsupportedBrowserDetails
    * Text with complementary details for unsupported browsers
    * @property {string} userAnswersText Text labeling the users answers
+   * @property {string} noSound Text telling the user that nothing was heard
+   * @property {string} microphoneDeniedText
+   * Text telling the user that access to the microphone was denied
+   * @property {string} noMicrophoneText Text telling the user that no microphone was found
+   * @property {string} networkErrorText
+   * Text telling the user that speech could not be recognized because of the network
+   * @property {string} speechErrorText
+   * Text telling the user that speech could not be recognized for any other reason
+   * @property {string} heardAnswerText
+   * Text telling the user what was heard, @answer is replaced by the response
+   * @property {string} lowConfidenceText
+   * Text telling the user an accepted answer was not heard clearly enough
+   * @property {string} confidenceText
+   * Text telling how confident the speech engine was, @confidence is replaced by the percentage
+   * @property {string} attemptsLeftText
+   * Text telling how many attempts are left, @count is replaced by the number
+   * @property {string} wordDiffText
+   * Text labeling the comparison of the users answer with the closest correct answer
+   * @property {string} previousPromptLabel Label for 'previous prompt'-button
+   * @property {string} nextPromptLabel Label for 'next prompt'-button
+   * @property {string} promptProgress
+   * Text telling which prompt the user is at, @current and @total are replaced
+   * @property {string} playbackLabel Text labeling the recording of the users answer
+   * @property {string} listenLabel Label for buttons playing how an answer should sound
+   * @property {string} hintLabel Text labeling a hint
+   * @property {string} typedFallbackText
+   * Text telling the user to type the answer since speech can not be recognized
+   * @property {string} typedAnswerLabel Label for the typed answer input
+   * @property {string} submitAnswerLabel Label for the button checking a typed answer
+   * @property {string} listenFirstText
+   * Text telling the user to listen to the audio of the task before answering
+   * @property {string} readingAccuracyText Text telling how much of a passage
+   * was read correctly, @read, @total and @accuracy are replaced
+   * @property {string} wordsPerMinuteText
+   * Text telling how many words were read correctly per minute, @wpm is replaced
+   * @property {string} skippedWordsText
+   * Text telling how many words were skipped, @count is replaced
+   */
+
+  /**
+   * @typedef {Object} SpeakTheWordsState
+   *
+   * @property {number} currentPrompt Index of the prompt the user is at
+   * @property {Array} prompts State of each prompt, see PromptState
    */
 
   /**
@@ -48,42 +190,145 @@ export default class {
    *
    * @param {SpeakTheWordsParameters} params Author specified parameters
    * @param {Object} question H5P Question instance with button and event functionality
+   * @param {SpeakTheWordsState} [previousState] State to restore
+   * @param {Object} [metadata] Metadata of the content, such as title and language
    */
-  constructor(params, question) {
+  constructor(params, question, previousState, metadata) {
     // Set defaults
     this.params = Util.extend({
+      mode: 'answer',
       question: '',
+      passage: '',
       acceptedAnswers: [],
+      prompts: [],
+      turns: [],
       incorrectAnswerText: 'Incorrect answer',
       correctAnswerText: 'Correct answer',
+      partiallyCorrectAnswerText: 'Partially correct answer',
       inputLanguage: 'en-US',
+      behaviour: {
+        matchTolerance: 'normalized',
+        scoring: 'answer',
+        maxAttempts: 0,
+        solutionAfterAttempts: 1,
+        recognizer: 'auto',
+        recognizerEndpoint: '',
+        enableTypedFallback: false,
+        listeningMode: 'toggle',
+        silenceTimeout: 2,
+        maxDuration: 15,
+        minConfidence: 0,
+        requirePromptAudio: false
+      },
       l10n: {
         retryLabel: 'Retry',
         showSolutionLabel: 'Show solution',
         speakLabel: 'Push to speak',
+        holdToSpeakLabel: 'Hold to speak',
         listeningLabel: 'Listening...',
         correctAnswersText: 'The correct answer(s):',
         userAnswersText: 'Your answer(s) was interpreted as:',
+        heardAnswerText: 'We heard: "@answer"',
+        attemptsLeftText: 'Attempts left: @count',
+        lowConfidenceText: 'Close! Try again and say it more clearly.',
+        confidenceText: 'Confidence: @confidence%',
+        wordDiffText: 'Your answer compared with the closest correct answer:',
         noSound: 'I could not hear you, make sure your microphone is enabled',
+        microphoneDeniedText: 'Access to the microphone was denied. Allow this page to use the microphone and try again.',
+        noMicrophoneText: 'No microphone could be found. Connect a microphone and try again.',
+        networkErrorText: 'Your answer could not be recognized because of a network problem. Check your connection and try again.',
+        speechErrorText: 'Something went wrong while recognizing your answer. Please try again.',
         unsupportedBrowserHeader: 'It looks like your browser does not support speech recognition',
         unsupportedBrowserDetails: 'Please try again in a browser like Chrome',
         acceptedAnswers: 'Accepted answers: @answers',
         a11yShowSolution: 'Show the solution. The task will be marked with its correct solution.',
-        a11yRetry: 'Retry the task. Reset all responses and start the task over again.'
+        a11yRetry: 'Retry the task. Reset all responses and start the task over again.',
+        a11yCorrectWord: 'Correct word: @word',
+        a11yMissingWord: 'Missing word: @word',
+        a11yExtraWord: 'Extra word: @word',
+        a11ySubstitutedWord: 'You said @actual instead of @expected',
+        previousPromptLabel: 'Previous',
+        nextPromptLabel: 'Next',
+        promptProgress: 'Prompt @current of @total',
+        promptCorrect: 'Correct',
+        promptPartiallyCorrect: 'Partially correct',
+        promptIncorrect: 'Incorrect',
+        promptUnanswered: 'Not answered yet',
+        a11yPreviousPrompt: 'Go to the previous prompt.',
+        a11yNextPrompt: 'Go to the next prompt.',
+        a11yPromptResult: 'Prompt @index: @result',
+        playbackLabel: 'Listen to your answer:',
+        listenLabel: 'Listen',
+        hintLabel: 'Hint:',
+        a11yListenPrompt: 'Listen to how the answer is pronounced.',
+        a11yListenAnswer: 'Listen to how "@answer" is pronounced.',
+        typedFallbackText: 'Speech can not be recognized here, type your answer instead.',
+        typedAnswerLabel: 'Type your answer',
+        submitAnswerLabel: 'Check',
+        a11yInputLevel: 'Microphone input level',
+        a11ySoundDetected: 'The microphone is picking up sound.',
+        a11yNoSoundDetected: 'Listening, no sound picked up yet.',
+        listenFirstText: 'Listen to the audio to the end before you answer.',
+        readingAccuracyText: 'You read @read of @total words correctly (@accuracy%).',
+        wordsPerMinuteText: 'Words per minute: @wpm',
+        skippedWordsText: 'Skipped words: @count',
+        a11yMisreadWord: 'Misread word: @word',
+        a11ySkippedWord: 'Skipped word: @word',
+        dialoguePartnerLabel: 'Partner',
+        dialogueUserLabel: 'You',
+        a11yListenLine: 'Listen to the line.'
       }
     }, params);
 
-    this.params.acceptedAnswers = this.params.acceptedAnswers.map(decode);
+    // The main question is the first prompt, additional prompts make up a speaking drill.
+    // A passage read aloud is a single prompt, and each turn of a dialogue is a prompt
+    // with the main question setting the scene.
+    const hasAnswers = prompt => prompt.acceptedAnswers && prompt.acceptedAnswers.length;
+    const reading = this.params.mode === 'readAloud';
+    const turns = this.params.mode === 'dialogue' ? this.params.turns.filter(hasAnswers) : [];
+    this.dialogue = turns.length > 0;
+
+    let prompts;
+    if (this.dialogue) {
+      prompts = turns.map(turn => ({
+        question: turn.line,
+        acceptedAnswers: turn.acceptedAnswers,
+        wrongAnswers: turn.wrongAnswers,
+        questionAudio: turn.audio
+      }));
+    }
+    else {
+      const mainPrompt = Util.extend({}, this.params, {passage: reading ? this.params.passage : ''});
+      prompts = [mainPrompt].concat(reading ? [] : this.params.prompts.filter(hasAnswers));
+    }
+    this.prompts = prompts.map(prompt => {
+      return new Prompt(prompt, this.params.behaviour, this.params.inputLanguage);
+    });
+    this.currentPrompt = 0;
+    this.autoPlayTurn = null;
 
     this.mediaRecorder = null;
     this.mediaChunks = [];
+    this.recordingPrompt = null;
+    this.pendingRecording = null;
+    this.stoppedRecording = null;
+    this.audioContext = null;
+    this.analyser = null;
 
     this.question = question;
-    this.hasAnswered = false;
-    this.score = 0;
+    this.previousState = previousState;
+    this.metadata = metadata || {};
+    this.listeningStartedAt = null;
+    this.recordingId = null;
+    this.attempted = false;
+
+    // Answering may have to wait until the audio of the task has been heard
+    this.waitingForPromptAudio = this.requiresPromptAudio();
 
-    // Skip rendering components if speech engine does not exist
-    if (!window.annyang) {
+    // Skip rendering components if speech can not be recognized nor typed
+    this.recognizer = createRecognizer(this.params.behaviour);
+    this.typing = !this.recognizer;
+    if (!this.canAnswer()) {
       return;
     }
 
@@ -93,33 +338,254 @@ export default class {
     this.createButtonBar(this.params.l10n);
 
     this.handleAnswered = this.handleAnswered.bind(this);
+    this.handleTypedAnswer = this.handleTypedAnswer.bind(this);
+    this.getAnalyser = this.getAnalyser.bind(this);
+    this.handleMediaEnded = this.handleMediaEnded.bind(this);
+
+    this.renderComponents();
+
+    if (this.recognizer) {
+      this.speechEngine = new SpeechEngine(this.params, this.speechEventStore, this.recognizer);
+      this.speechEngine.setAnswers(
+        this.getCurrentPrompt().acceptedAnswers,
+        this.getCurrentPrompt().answerMatcher,
+        this.getCurrentPrompt().isReading()
+      );
+
+      this.speechEventStore.on('start-listening', () => {
+        this.listeningStartedAt = Date.now();
+        this.triggerXAPIAttempted();
+        this.triggerXAPIInteracted();
+      });
+
+      if (this.params.behaviour.listeningMode === 'auto') {
+        this.autoStop = new AutoStop(this.speechEventStore, this.params.behaviour, this.getAnalyser);
+      }
+    }
+    this.speechEventStore.on('answered-correctly', this.handleAnswered);
+    this.speechEventStore.on('answered-wrong', this.handleAnswered);
+    this.speechEventStore.on('speech-error', (e) => {
+      this.handleSpeechError(e.data);
+    });
+  }
+
+  /**
+   * Check if the user can answer at all, by speaking or typing.
+   *
+   * @return {boolean} True if speech can be recognized or the answer typed
+   */
+  canAnswer() {
+    return !!this.recognizer || this.params.behaviour.enableTypedFallback;
+  }
+
+  /**
+   * Renders record button and show solution area into the question main
+   * content, with the progress of the drill when there are several prompts.
+   */
+  renderComponents() {
+    const prompt = this.getCurrentPrompt();
+
+    let progress = null;
+    if (this.isDrill()) {
+      progress = (
+        <PromptProgress
+          current={this.currentPrompt}
+          results={this.prompts.map(prompt => prompt.getResult())}
+          l10n={this.params.l10n}
+        />
+      );
+    }
+
+    let dialogue = null;
+    if (this.dialogue) {
+      dialogue = (
+        <DialogueHistory
+          turns={this.prompts.slice(0, this.currentPrompt + 1).map(turn => ({
+            line: turn.question,
+            sources: this.getAudioSources(turn.questionAudio),
+            response: turn.response,
+            result: turn.getResult()
+          }))}
+          current={this.currentPrompt}
+          autoPlay={this.autoPlayTurn === this.currentPrompt}
+          language={this.params.inputLanguage}
+          eventStore={this.speechEventStore}
+          l10n={this.params.l10n}
+        />
+      );
+    }
+
+    let passage = null;
+    if (prompt.isReading()) {
+      passage = (
+        <ReadingPassage
+          key={this.currentPrompt}
+          eventStore={this.speechEventStore}
+          passage={prompt.passage}
+          answerMatcher={prompt.answerMatcher}
+          l10n={this.params.l10n}
+        />
+      );
+    }
+
+    let input = (
+      <RecordButton
+        eventStore={this.speechEventStore}
+        l10n={this.params.l10n}
+        speechEngine={this.speechEngine}
+        mode={this.params.behaviour.listeningMode}
+        locked={this.waitingForPromptAudio}
+      />
+    );
+    if (this.typing) {
+      input = (
+        <TypedAnswer
+          eventStore={this.speechEventStore}
+          onAnswer={this.handleTypedAnswer}
+          locked={this.waitingForPromptAudio}
+          l10n={this.params.l10n}
+        />
+      );
+    }
+
+    let listenFirst = null;
+    if (this.waitingForPromptAudio) {
+      listenFirst = (
+        <div className="h5p-speak-the-words-listen-first">
+          {decode(this.params.l10n.listenFirstText)}
+        </div>
+      );
+    }
+
+    let playback = null;
+    if (prompt.recording) {
+      playback = (
+        <RecordingPlayback
+          recording={prompt.recording}
+          transcript={prompt.response}
+          l10n={this.params.l10n}
+        />
+      );
+    }
 
-    // Renders record button and show solution area into the question main content
     ReactDOM.render((
       <div>
-        <RecordButton
+        {progress}
+        {dialogue}
+        {passage}
+        {input}
+        {listenFirst}
+        <ListeningStatus
           eventStore={this.speechEventStore}
+          getAnalyser={this.getAnalyser}
           l10n={this.params.l10n}
-          speechEngine={this.speechEngine}
         />
-        <ShowSolution eventStore={this.speechEventStore} {...this.params} />
+        <SpeechError eventStore={this.speechEventStore}/>
+        <PromptHints
+          hints={prompt.correct ? [] : prompt.getHints()}
+          l10n={this.params.l10n}
+        />
+        {playback}
+        <ShowSolution
+          eventStore={this.speechEventStore}
+          answerMatcher={prompt.answerMatcher}
+          {...this.params}
+          acceptedAnswers={prompt.examples}
+          spokenAnswers={prompt.spokenExamples}
+          confidence={prompt.confidence}
+          wrongAnswerFeedback={prompt.getWrongAnswerFeedback()}
+          answerAudio={prompt.acceptedAnswers.map(answer => this.getAnswerAudioSources(prompt, answer))}
+        />
       </div>
     ), this.questionWrapper);
 
-    this.speechEngine = new SpeechEngine(this.params, this.speechEventStore);
-    this.speechEventStore.on('answered-correctly', this.handleAnswered);
-    this.speechEventStore.on('answered-wrong', this.handleAnswered);
+    // In a dialogue, the lines of the partner are listened to instead
+    if (this.dialogue) {
+      return;
+    }
+
+    // The prompt can be listened to as pronounced by its first accepted answer
+    ReactDOM.render((
+      <ListenButton
+        key={this.currentPrompt}
+        text={prompt.spokenExamples[0]}
+        sources={this.getAnswerAudioSources(prompt, prompt.acceptedAnswers[0])}
+        language={this.params.inputLanguage}
+        label={decode(this.params.l10n.a11yListenPrompt)}
+        eventStore={this.speechEventStore}
+        l10n={this.params.l10n}
+      />
+    ), this.introductionListen);
+  }
+
+  /**
+   * Get the recordings the author attached to an accepted answer,
+   * resolved for playback.
+   *
+   * @param {Prompt} prompt Prompt the answer belongs to
+   * @param {string} answer Accepted answer
+   * @return {Array|null} Recordings as {src, type}, if any
+   */
+  getAnswerAudioSources(prompt, answer) {
+    return this.getAudioSources(answer ? prompt.getAnswerAudio(answer) : null);
+  }
+
+  /**
+   * Resolve files of an audio field for playback.
+   *
+   * @param {Array} [files] Files uploaded by the author
+   * @return {Array|null} Recordings as {src, type}, if any
+   */
+  getAudioSources(files) {
+    if (!files) {
+      return null;
+    }
+
+    return files.map(file => {
+      return {
+        src: H5P.getPath(file.path, this.question.contentId),
+        type: file.mime
+      };
+    });
+  }
+
+  /**
+   * Get the prompt the user is at.
+   *
+   * @return {Prompt} Current prompt
+   */
+  getCurrentPrompt() {
+    return this.prompts[this.currentPrompt];
+  }
+
+  /**
+   * Check if the task is a speaking drill with several prompts.
+   * A dialogue is reported like a drill, with a prompt for each turn.
+   *
+   * @return {boolean} True if there is more than one prompt or a dialogue
+   */
+  isDrill() {
+    return this.dialogue || this.prompts.length > 1;
   }
 
   /**
    * Create introduction text element
    *
-   * @param {string} text Introduction text
+   * @param {string} html Introduction, formatted by the author
    */
-  createIntroduction(text) {
+  createIntroduction(html) {
     const introduction = document.createElement('div');
     introduction.className = 'h5p-speak-the-words-introduction';
-    introduction.textContent = decode(text);
+
+    this.introductionText = document.createElement('div');
+    this.introductionText.className = 'h5p-speak-the-words-introduction-text';
+    this.introductionText.innerHTML = Util.sanitizeHTML(html);
+    introduction.appendChild(this.introductionText);
+
+    this.introductionListen = document.createElement('span');
+    this.introductionListen.className = 'h5p-speak-the-words-introduction-listen';
+    introduction.appendChild(this.introductionListen);
+
     this.introduction = introduction;
   }
 
@@ -139,16 +605,113 @@ export default class {
    */
   createButtonBar(l10n) {
     this.question.addButton('try-again', decode(l10n.retryLabel), () => {
-      this.resetTask();
+      this.retryPrompt();
     }, false, {
       'aria-label': l10n.a11yRetry,
     });
 
     this.question.addButton('show-solution', decode(l10n.showSolutionLabel), () => {
-      this.showSolutions();
+      this.showSolution();
+      this.triggerXAPISolutionViewed();
     }, false, {
       'aria-label': l10n.a11yShowSolution,
     });
+
+    if (this.dialogue) {
+      // A dialogue only moves forward, once the user is done with a turn
+      this.question.addButton('next-prompt', decode(l10n.nextPromptLabel), () => {
+        this.goToNextTurn();
+      }, false, {
+        'aria-label': l10n.a11yNextPrompt,
+      });
+    }
+    else if (this.isDrill()) {
+      this.question.addButton('previous-prompt', decode(l10n.previousPromptLabel), () => {
+        this.goToPrompt(this.currentPrompt - 1);
+        this.triggerXAPIProgressed();
+      }, false, {
+        'aria-label': l10n.a11yPreviousPrompt,
+      });
+
+      this.question.addButton('next-prompt', decode(l10n.nextPromptLabel), () => {
+        this.goToPrompt(this.currentPrompt + 1);
+        this.triggerXAPIProgressed();
+      }, true, {
+        'aria-label': l10n.a11yNextPrompt,
+      });
+    }
+  }
+
+  /**
+   * Show the buttons for moving between prompts that lead somewhere.
+   */
+  updateNavigation() {
+    const hasNext = this.currentPrompt < this.prompts.length - 1;
+
+    if (this.dialogue) {
+      this.question[hasNext && this.getCurrentPrompt().isFinished() ? 'showButton' : 'hideButton']('next-prompt');
+    }
+    else if (this.isDrill()) {
+      this.question[this.currentPrompt > 0 ? 'showButton' : 'hideButton']('previous-prompt');
+      this.question[hasNext ? 'showButton' : 'hideButton']('next-prompt');
+    }
+  }
+
+  /**
+   * Move on to the next turn of the dialogue, playing the line of the partner.
+   */
+  goToNextTurn() {
+    this.autoPlayTurn = this.currentPrompt + 1;
+    this.goToPrompt(this.currentPrompt + 1);
+    this.triggerXAPIProgressed();
+  }
+
+  /**
+   * Move to another prompt of the drill.
+   *
+   * @param {number} index Index of the prompt to move to
+   */
+  goToPrompt(index) {
+    if (index < 0 || index >= this.prompts.length) {
+      return;
+    }
+
+    this.stopListening();
+    this.currentPrompt = index;
+
+    // The main question sets the scene of a dialogue, the lines are shown in its history
+    const prompt = this.getCurrentPrompt();
+    if (!this.dialogue) {
+      this.introductionText.innerHTML = Util.sanitizeHTML(prompt.question);
+    }
+    if (this.speechEngine) {
+      this.speechEngine.setAnswers(prompt.acceptedAnswers, prompt.answerMatcher, prompt.isReading());
+    }
+    this.showPrompt();
+  }
+
+  /**
+   * Show the current prompt, with its result and solution if the user
+   * has already gotten that far.
+   */
+  showPrompt() {
+    const prompt = this.getCurrentPrompt();
+
+    this.clearResult();
+    this.renderComponents();
+    this.updateNavigation();
+
+    if (prompt.answered) {
+      this.showResult(prompt);
+      this.speechEventStore.trigger('restore-state', {
+        userAnswers: prompt.correct ? [prompt.response] : prompt.userAnswers,
+        answeredCorrectly: prompt.correct
+      });
+    }
+
+    if (prompt.showingSolution) {
+      this.showSolution();
+    }
   }
 
   /**
@@ -156,35 +719,164 @@ export default class {
    * @param {event} event Annyang result event.
    */
   handleAnswered(event) {
-    if (this.mediaRecorder.state !== 'inactive') {
-      this.mediaRecorder.stop();
+    this.stopRecorder();
+
+    const prompt = this.getCurrentPrompt();
+    prompt.attempts++;
+    const response = prompt.answer(event.data);
+    prompt.typed = this.typing;
+    if (!this.typing) {
+      prompt.recognition = {
+        alternatives: this.speechEngine.getAlternatives(),
+        duration: (Date.now() - this.listeningStartedAt) / 1000,
+        recordingId: this.recordingPrompt === prompt ? this.recordingId : null
+      };
+      prompt.setConfidence(this.speechEngine.getConfidence(prompt.response));
+    }
+
+    // Recording may have stopped before the speech engine reported the answer
+    if (this.pendingRecording && this.recordingPrompt === prompt) {
+      this.setRecording(this.pendingRecording, prompt);
+    }
+    this.pendingRecording = null;
+
+    this.showResult(prompt);
+    // Update results in progress and hints
+    this.renderComponents();
+    this.updateNavigation();
+    this.triggerXAPIAnswered(response);
+
+    // A dialogue goes on as soon as the user gives an accepted reply
+    if (this.dialogue && prompt.correct && this.currentPrompt < this.prompts.length - 1) {
+      this.goToNextTurn();
+    }
+  }
+
+  /**
+   * Handle answer typed by the user, passing it on the same way as
+   * answers recognized by the speech engine.
+   *
+   * @param {string} answer Typed answer
+   */
+  handleTypedAnswer(answer) {
+    this.triggerXAPIAttempted();
+    this.triggerXAPIInteracted();
+
+    const match = this.getCurrentPrompt().answerMatcher.findMatch([answer]);
+    if (match) {
+      this.speechEventStore.trigger('answered-correctly', [match.response]);
+    }
+    else {
+      this.speechEventStore.trigger('answered-wrong', [answer]);
+    }
+  }
+
+  /**
+   * Handle speech that could not be recognized.
+   * Lets the user type the answer instead if the microphone can not be used.
+   *
+   * @param {Object} error Error as reported by the recognizer
+   */
+  handleSpeechError(error) {
+    if (this.params.behaviour.enableTypedFallback && MICROPHONE_ERRORS.indexOf(error.error) !== -1) {
+      this.typing = true;
+      this.renderComponents();
     }
+  }
 
-    this.questionWrapper.parentNode.classList.add('empty');
+  /**
+   * Show the result of answering a prompt.
+   *
+   * @param {Prompt} prompt Prompt that has been answered
+   */
+  showResult(prompt) {
+    if (!this.isDrill() && !prompt.recording) {
+      this.questionWrapper.parentNode.classList.add('empty');
+    }
     if (this.questionWrapper.parentNode.parentNode) {
       this.questionWrapper.parentNode.parentNode.classList.add('answered');
     }
 
-    const response = event.data[0];
-    const correct = this.params.acceptedAnswers.indexOf(response) !== -1;
-
     let answerText = '';
-    if (correct) {
-      this.score = 1;
-      answerText = this.params.correctAnswerText;
+    if (prompt.correct) {
+      answerText = decode(this.params.correctAnswerText);
       this.question.hideButton('try-again');
       this.question.hideButton('show-solution');
     }
+    else if (prompt.unclear) {
+      answerText = decode(this.params.l10n.lowConfidenceText);
+    }
+    else if (prompt.getWrongAnswerFeedback()) {
+      answerText = decode(prompt.getWrongAnswerFeedback());
+    }
     else {
-      this.score = 0;
-      answerText = this.params.incorrectAnswerText;
-      this.question.showButton('try-again');
-      this.question.showButton('show-solution');
+      answerText = decode(prompt.score > 0 ?
+        this.params.partiallyCorrectAnswerText :
+        this.params.incorrectAnswerText);
     }
 
-    this.question.setFeedback(decode(answerText), this.getScore(), this.getMaxScore());
-    this.triggerXAPIAnswered(response);
-    this.hasAnswered = true;
+    if (!prompt.correct) {
+      this.question[prompt.canRetry() ? 'showButton' : 'hideButton']('try-again');
+      this.question[prompt.isSolutionUnlocked() ? 'showButton' : 'hideButton']('show-solution');
+    }
+
+    // What was heard while reading is shown in the passage
+    if (prompt.readingResult) {
+      answerText += ' ' + decode(this.getReadingText(prompt));
+    }
+    else if (prompt.response) {
+      // Only the templates are HTML, what the user said or typed is text
+      answerText += ' ' + decode(this.params.l10n.heardAnswerText)
+        .replace(/@answer/g, () => escape(prompt.response));
+    }
+
+    if (prompt.confidence !== null) {
+      answerText += ' ' + decode(this.params.l10n.confidenceText)
+        .replace(/@confidence/g, Math.round(prompt.confidence * 100));
+    }
+
+    if (!prompt.correct && prompt.maxAttempts) {
+      answerText += ' ' + decode(this.params.l10n.attemptsLeftText).replace(/@count/g, prompt.getAttemptsLeft());
+    }
+
+    this.question.setFeedback(answerText, this.getScore(), this.getMaxScore());
+  }
+
+  /**
+   * Get text telling how well a passage was read aloud.
+   *
+   * @param {Prompt} prompt Prompt that was read aloud
+   * @return {string} Accuracy, words per minute and number of skipped words
+   */
+  getReadingText(prompt) {
+    const l10n = this.params.l10n;
+    const result = prompt.readingResult;
+
+    let text = l10n.readingAccuracyText
+      .replace(/@read/g, result.read)
+      .replace(/@total/g, result.total)
+      .replace(/@accuracy/g, result.accuracy);
+
+    const wordsPerMinute = prompt.getWordsPerMinute();
+    if (wordsPerMinute !== null) {
+      text += ' ' + l10n.wordsPerMinuteText.replace(/@wpm/g, wordsPerMinute);
+    }
+
+    return text + ' ' + l10n.skippedWordsText.replace(/@count/g, result.skippedWords.length);
+  }
+
+  /**
+   * Remove the result of the current prompt from view.
+   */
+  clearResult() {
+    this.questionWrapper.parentNode.classList.remove('empty');
+    if (this.questionWrapper.parentNode.parentNode) {
+      this.questionWrapper.parentNode.parentNode.classList.remove('answered', 'showing-solution');
+    }
+    this.question.hideButton('try-again');
+    this.question.hideButton('show-solution');
+    this.question.removeFeedback();
+    this.speechEventStore.trigger('reset-task');
   }
 
   /**
@@ -192,7 +884,7 @@ export default class {
    * Displays unsupported browser section if the browser does not support the Web Speech API.
    */
   registerDomElements() {
-    if (!window.annyang) {
+    if (!this.canAnswer()) {
       const errorElement = document.createElement('div');
 
       // Renders record button and show solution area into the question main content
@@ -212,62 +904,356 @@ export default class {
       return;
     }
 
-    this.mediaMIMEType = this.getRecordingMIMEType();
+    this.mediaMIMEType = this.recognizer ? this.getRecordingMIMEType() : null;
 
-    if (this.mediaMIMEType) {
+    if (this.mediaMIMEType && navigator.mediaDevices) {
       navigator.mediaDevices.getUserMedia({audio: true}).then(stream => {
-        // Provide audio for export
-        this.mediaRecorder = new MediaRecorder(stream);
+        this.initRecorder(stream);
+      }, error => {
+        // Without a microphone there is nothing to record nor recognize
+        const code = Recognizer.getMediaErrorCode(error);
+        this.speechEventStore.trigger('speech-error', {
+          error: code,
+          message: this.speechEngine.getErrorMessage(code)
+        });
+      });
+    }
 
-        this.mediaRecorder.onstop = () => {
-          const blob = new Blob(this.mediaChunks, { type: this.mediaMIMEType });
-          this.mediaChunks = [];
-          this.triggerFileExport({ type: this.mediaMIMEType, blob: blob });
-        }
+    this.setMedia();
+    this.question.setIntroduction(this.introduction);
+    this.question.setContent(this.questionWrapper);
+
+    if (this.previousState) {
+      this.restoreState(this.previousState);
+    }
+  }
+
+  /**
+   * Record the microphone input while the user speaks.
+   *
+   * @param {MediaStream} stream Microphone input
+   */
+  initRecorder(stream) {
+    // Provide audio for export
+    this.mediaRecorder = new MediaRecorder(stream);
+
+    this.mediaRecorder.onstop = () => {
+      const blob = new Blob(this.mediaChunks, { type: this.mediaMIMEType });
+      this.mediaChunks = [];
+
+      // Recordings of speech that could not be recognized are discarded
+      const recording = this.stoppedRecording;
+      this.stoppedRecording = null;
+      if (!recording) {
+        return;
+      }
+      this.triggerFileExport({ id: recording.id, type: this.mediaMIMEType, blob: blob }, recording.prompt);
+      this.setRecording(blob, recording.prompt);
+    }
+
+    this.mediaRecorder.ondataavailable = (event) => {
+      this.mediaChunks.push(event.data);
+    }
+
+    this.speechEventStore.on('start-listening', () => {
+      this.pendingRecording = null;
+      if (this.mediaRecorder.state !== 'recording') {
+        this.recordingPrompt = this.getCurrentPrompt();
+        this.recordingId = H5P.createUUID();
+        this.mediaRecorder.start();
+      }
+      this.startAnalyser(stream);
+    });
+
+    // Keep what was recorded until the speech engine reports the answer
+    this.speechEventStore.on('stop-listening', () => {
+      this.stopRecorder();
+    });
+
+    // A recording that has already been stopped belongs to an answer and is kept
+    const discardRecording = () => {
+      if (this.mediaRecorder.state === 'recording') {
+        this.recordingPrompt = null;
+        this.mediaRecorder.stop();
+      }
+    };
+    this.speechEventStore.on('speech-error', () => {
+      this.pendingRecording = null;
+      discardRecording();
+    });
+    this.speechEventStore.on('stop-all-media', () => {
+      discardRecording();
+      this.stopAnalyser();
+    });
+  }
+
+  /**
+   * Stop recording, keeping track of what the recording was made for
+   * until the recorder has delivered it.
+   */
+  stopRecorder() {
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.stoppedRecording = this.recordingPrompt ? {
+        prompt: this.recordingPrompt,
+        id: this.recordingId
+      } : null;
+      this.mediaRecorder.stop();
+    }
+  }
+
+  /**
+   * Get the library of the media shown with the task.
+   *
+   * @return {string|null} Machine name of the library, e.g. 'H5P.Audio', if any
+   */
+  getMediaType() {
+    const media = this.params.media && this.params.media.type;
+    return media && media.library ? media.library.split(' ')[0] : null;
+  }
 
-        this.mediaRecorder.ondataavailable = (event) => {
-          this.mediaChunks.push(event.data);
+  /**
+   * Check if the audio of the task must be heard before answering.
+   *
+   * @return {boolean} True if the user has to listen first
+   */
+  requiresPromptAudio() {
+    // Without a file there is nothing to listen to
+    return !!this.params.behaviour.requirePromptAudio &&
+      this.getMediaType() === 'H5P.Audio' && !!(this.params.media.type.params || {}).files;
+  }
+
+  /**
+   * Show the image, audio or video of the task in the media area of
+   * H5P Question.
+   */
+  setMedia() {
+    const media = this.params.media && this.params.media.type;
+    const params = media && media.params || {};
+
+    switch (this.getMediaType()) {
+      case 'H5P.Image':
+        if (params.file) {
+          this.question.setImage(params.file.path, {
+            disableImageZooming: !!this.params.media.disableImageZooming,
+            alt: params.alt,
+            title: params.title
+          });
+        }
+        break;
+      case 'H5P.Audio':
+        if (params.files) {
+          this.question.setAudio(media);
+          this.setWaitingForPromptAudio(this.waitingForPromptAudio);
         }
+        break;
+      case 'H5P.Video':
+        if (params.sources) {
+          this.question.setVideo(media);
+        }
+        break;
+    }
+  }
 
-        this.speechEventStore.on('start-listening', () => {
-          if (this.mediaRecorder.state !== 'recording') {
-            this.mediaRecorder.start();
-          }
-        });
-      })
+  /**
+   * Keep the user from answering until the audio of the task has ended,
+   * listening for the end only for as long as it is awaited.
+   *
+   * @param {boolean} waiting True to wait for the audio
+   */
+  setWaitingForPromptAudio(waiting) {
+    this.waitingForPromptAudio = waiting;
+
+    // Media events do not bubble, so they are captured on the way down
+    if (waiting) {
+      document.addEventListener('ended', this.handleMediaEnded, true);
     }
+    else {
+      document.removeEventListener('ended', this.handleMediaEnded, true);
+    }
+  }
 
-    this.question.setIntroduction(this.introduction);
-    this.question.setContent(this.questionWrapper);
+  /**
+   * Let the user answer once the audio of the task has played to the end.
+   *
+   * @param {Event} event Media event captured on the document
+   */
+  handleMediaEnded(event) {
+    if (!document.contains(this.questionWrapper)) {
+      // The task has been removed from the page, its audio will not end
+      this.setWaitingForPromptAudio(false);
+      return;
+    }
+
+    const task = this.questionWrapper.parentNode.parentNode;
+    const audio = task && task.querySelector('.h5p-question-audio');
+    if (!audio || !audio.contains(event.target)) {
+      return;
+    }
+
+    this.setWaitingForPromptAudio(false);
+    this.renderComponents();
+  }
+
+  /**
+   * Start analysing the microphone input for the input level meter.
+   * The audio context is only created once the user starts speaking, since
+   * browsers will not let it run before the user has interacted with the page.
+   *
+   * @param {MediaStream} stream Microphone input
+   */
+  startAnalyser(stream) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+      return;
+    }
+
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext();
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = 512;
+      this.audioContext.createMediaStreamSource(stream).connect(this.analyser);
+    }
+
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+  }
+
+  /**
+   * Stop analysing the microphone input, releasing the audio context.
+   */
+  stopAnalyser() {
+    if (!this.audioContext) {
+      return;
+    }
+
+    this.audioContext.close();
+    this.audioContext = null;
+    this.analyser = null;
+  }
+
+  /**
+   * Get analyser of the microphone input.
+   *
+   * @return {AnalyserNode|null} Analyser, if the input is being analysed
+   */
+  getAnalyser() {
+    return this.analyser;
+  }
+
+  /**
+   * Make a recording available for playback next to the answer of the
+   * prompt it was recorded for, once the prompt has been answered.
+   *
+   * @param {Blob} blob Recorded audio
+   * @param {Prompt} prompt Prompt the audio was recorded for
+   */
+  setRecording(blob, prompt) {
+    if (!prompt || !window.URL || !URL.createObjectURL) {
+      return;
+    }
+    if (!prompt.answered) {
+      this.pendingRecording = blob;
+      return;
+    }
+    this.pendingRecording = null;
+
+    prompt.setRecording(URL.createObjectURL(blob));
+    if (prompt === this.getCurrentPrompt()) {
+      this.questionWrapper.parentNode.classList.remove('empty');
+      this.renderComponents();
+    }
+  }
+
+  /**
+   * Put the task back into a previously saved state.
+   *
+   * @param {SpeakTheWordsState} state State to restore
+   */
+  restoreState(state) {
+    (state.prompts || []).forEach((promptState, index) => {
+      if (this.prompts[index]) {
+        this.prompts[index].restoreState(promptState);
+      }
+    });
+
+    const currentPrompt = state.currentPrompt || 0;
+    this.goToPrompt(currentPrompt < this.prompts.length ? currentPrompt : 0);
+  }
+
+  /**
+   * Get current state of the task for saving.
+   *
+   * @return {SpeakTheWordsState|undefined} Current state, or undefined if
+   *  there is nothing to save
+   */
+  getCurrentState() {
+    const used = this.prompts.some(prompt => {
+      return prompt.answered || prompt.showingSolution || prompt.attempts;
+    });
+    if (!used) {
+      return;
+    }
+
+    return {
+      currentPrompt: this.currentPrompt,
+      prompts: this.prompts.map(prompt => prompt.getCurrentState())
+    };
   }
 
   /**
    * Resets question.
    */
   resetTask() {
-    this.questionWrapper.parentNode.classList.remove('empty');
-    if (this.questionWrapper.parentNode.parentNode) {
-      this.questionWrapper.parentNode.parentNode.classList.remove('answered', 'showing-solution');
-    }
-    this.question.hideButton('try-again');
-    this.question.hideButton('show-solution');
-    this.question.removeFeedback();
-    this.speechEventStore.trigger('reset-task');
-    this.hasAnswered = false;
-    this.score = 0;
+    this.prompts.forEach(prompt => {
+      prompt.reset();
+      prompt.attempts = 0;
+    });
+    this.attempted = false;
+
+    // Starting over means listening to the audio of the task again
+    this.setWaitingForPromptAudio(this.requiresPromptAudio());
+    this.goToPrompt(0);
     this.question.trigger('reset-task');
   }
 
   /**
-   * Show solutions
+   * Let the user answer the current prompt of the drill again.
+   */
+  retryPrompt() {
+    this.getCurrentPrompt().reset();
+    this.showPrompt();
+  }
+
+  /**
+   * Show solutions for all prompts.
    */
   showSolutions() {
+    this.prompts.forEach(prompt => {
+      prompt.showingSolution = true;
+    });
+    this.showSolution();
+  }
+
+  /**
+   * Show solution for the current prompt.
+   */
+  showSolution() {
+    const prompt = this.getCurrentPrompt();
+    prompt.showingSolution = true;
+
     this.questionWrapper.parentNode.classList.remove('empty');
     if (this.questionWrapper.parentNode.parentNode) {
       this.questionWrapper.parentNode.parentNode.classList.add('showing-solution');
     }
     this.question.hideButton('show-solution');
     this.speechEventStore.trigger('show-solution');
+
+    if (!prompt.answered) {
+      this.question.hideButton('try-again');
+      this.question.setFeedback(decode(this.params.incorrectAnswerText), this.getScore(), this.getMaxScore());
+    }
+    this.updateNavigation();
   }
 
   /**
@@ -281,7 +1267,7 @@ export default class {
    * Get current score.
    */
   getScore() {
-    return this.score;
+    return this.prompts.reduce((score, prompt) => score + prompt.score, 0);
   }
 
   /**
@@ -289,7 +1275,7 @@ export default class {
    * @return {number} Maximum score.
    */
   getMaxScore() {
-    return 1;
+    return this.prompts.reduce((score, prompt) => score + prompt.maxScore, 0);
   }
 
   /**
@@ -297,22 +1283,103 @@ export default class {
    * @returns {boolean}
    */
   isQuestionAnswered() {
-    return this.hasAnswered;
+    return this.prompts.some(prompt => prompt.answered);
   }
 
   /**
    * Trigger xAPI answered statement.
+   * In a drill, a statement is triggered for the prompt that was answered,
+   * and one for the whole task once all prompts have been answered.
    * @param {string} response Response that was detected.
    */
   triggerXAPIAnswered(response) {
+    if (this.isDrill()) {
+      this.question.trigger(this.getXAPIPromptEvent(this.currentPrompt));
+
+      if (!this.prompts.every(prompt => prompt.answered)) {
+        return;
+      }
+    }
+
     const xAPIEvent = this.getXAPIAnswerEvent(this.question);
 
     // Add response to result
-    xAPIEvent.data.statement.result.response = response;
+    if (!this.isDrill()) {
+      xAPIEvent.data.statement.result.response = response;
+    }
 
     this.question.trigger(xAPIEvent)
   }
 
+  /**
+   * Trigger xAPI attempted statement the first time the user tries to
+   * answer, for each attempt at the task.
+   */
+  triggerXAPIAttempted() {
+    if (this.attempted) {
+      return;
+    }
+
+    this.attempted = true;
+    this.question.trigger(this.createXAPIEvent('attempted', this.question));
+  }
+
+  /**
+   * Trigger xAPI interacted statement for each recording of an answer.
+   * In a drill, the prompt being answered is the object of the statement.
+   */
+  triggerXAPIInteracted() {
+    if (!this.isDrill()) {
+      this.question.trigger(this.createXAPIEvent('interacted', this.question));
+      return;
+    }
+
+    const prompt = this.getCurrentPrompt();
+    this.question.trigger(this.createXAPIEvent('interacted',
+      this.getXAPIPromptWrapper(this.currentPrompt), this.getxAPIDefinition(prompt)));
+  }
+
+  /**
+   * Trigger xAPI progressed statement when the user moves between the
+   * prompts of a drill, with the share of prompts answered so far.
+   */
+  triggerXAPIProgressed() {
+    const answered = this.prompts.filter(prompt => prompt.answered).length;
+    const xAPIEvent = this.createXAPIEvent('progressed', this.question);
+
+    xAPIEvent.data.statement.result = {
+      extensions: {
+        [XAPI_PROGRESS_EXTENSION]: Math.round(100 * answered / this.prompts.length)
+      }
+    };
+    this.question.trigger(xAPIEvent);
+  }
+
+  /**
+   * Trigger xAPI statement when the user reveals the solution, with the
+   * score at that time. The statement is tagged so reporting tools can
+   * leave out scores reached after seeing the solution.
+   */
+  triggerXAPISolutionViewed() {
+    const prompt = this.getCurrentPrompt();
+    let wrapper = this.question;
+    let definition = this.getxAPIDefinition();
+    if (this.isDrill()) {
+      wrapper = this.getXAPIPromptWrapper(this.currentPrompt);
+      definition = this.getxAPIDefinition(prompt);
+    }
+
+    const xAPIEvent = this.createXAPIEvent(XAPI_VIEWED_VERB, wrapper, definition);
+    xAPIEvent.setScoredResult(prompt.score, prompt.maxScore, wrapper,
+      prompt.answered, prompt.score === prompt.maxScore);
+
+    const context = xAPIEvent.data.statement.context = xAPIEvent.data.statement.context || {};
+    context.extensions = context.extensions || {};
+    context.extensions[XAPI_SOLUTION_VIEWED_EXTENSION] = true;
+
+    this.question.trigger(xAPIEvent);
+  }
+
   /**
    * Get xAPI data.
    * @param {object} wrapper H5P instance.
@@ -320,9 +1387,17 @@ export default class {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-6}
    */
   getXAPIData(wrapper) {
-    return ({
+    const xAPIData = {
       statement: this.getXAPIAnswerEvent(wrapper).data.statement
-    });
+    };
+
+    if (this.isDrill()) {
+      xAPIData.children = this.prompts.map((prompt, index) => ({
+        statement: this.getXAPIPromptEvent(index, wrapper).data.statement
+      }));
+    }
+
+    return xAPIData;
   }
 
   /**
@@ -336,16 +1411,116 @@ export default class {
     xAPIEvent.setScoredResult(this.getScore(), this.getMaxScore(), wrapper,
       true, this.getScore() === this.getMaxScore());
 
+    const attempts = this.prompts.reduce((attempts, prompt) => attempts + prompt.attempts, 0);
+    this.addXAPIAttempts(xAPIEvent, attempts);
+
+    // In a drill, how the answer was given is reported for each prompt
+    if (!this.isDrill() && this.prompts[0].answered) {
+      this.addXAPIAnswerDetails(xAPIEvent, this.prompts[0]);
+    }
+
     return xAPIEvent;
   }
 
+  /**
+   * Build xAPI answer event for a single prompt of a drill.
+   * The prompt is reported as a sub activity of the task.
+   * @param {number} index Index of the prompt.
+   * @param {object} [wrapper] H5P instance.
+   * @return {H5P.XAPIEvent} XAPI answer event.
+   */
+  getXAPIPromptEvent(index, wrapper = this.question) {
+    const prompt = this.prompts[index];
+    const promptWrapper = this.getXAPIPromptWrapper(index, wrapper);
+
+    const xAPIEvent = this.createXAPIEvent('answered', promptWrapper, this.getxAPIDefinition(prompt));
+
+    xAPIEvent.setScoredResult(prompt.score, prompt.maxScore, promptWrapper,
+      true, prompt.score === prompt.maxScore);
+
+    if (prompt.answered) {
+      xAPIEvent.data.statement.result.response = prompt.response;
+      this.addXAPIAnswerDetails(xAPIEvent, prompt);
+    }
+    this.addXAPIAttempts(xAPIEvent, prompt.attempts);
+
+    return xAPIEvent;
+  }
+
+  /**
+   * Get instance to report a prompt of a drill as in xAPI statements,
+   * a sub activity of the task.
+   * @param {number} index Index of the prompt.
+   * @param {object} [wrapper] H5P instance.
+   * @return {object} Instance with ids for the prompt.
+   */
+  getXAPIPromptWrapper(index, wrapper = this.question) {
+    return {
+      contentId: wrapper.contentId,
+      subContentId: (wrapper.subContentId ? wrapper.subContentId + '-' : '') + 'prompt-' + (index + 1),
+      parent: wrapper
+    };
+  }
+
+  /**
+   * Report the number of attempts in the result of an xAPI event.
+   * @param {H5P.XAPIEvent} xAPIEvent XAPI event with a result.
+   * @param {number} attempts Number of attempts.
+   */
+  addXAPIAttempts(xAPIEvent, attempts) {
+    const result = xAPIEvent.data.statement.result;
+    result.extensions = result.extensions || {};
+    result.extensions[XAPI_ATTEMPTS_EXTENSION] = attempts;
+  }
+
+  /**
+   * Report in the result of an xAPI event how the answer of a prompt was
+   * given: whether it was spoken or typed and in which language, and for
+   * spoken answers everything that was heard, how long the user spoke and
+   * the recording of the answer. For a passage read aloud, the accuracy,
+   * words per minute and skipped words are reported as well.
+   * @param {H5P.XAPIEvent} xAPIEvent XAPI event with a result.
+   * @param {Prompt} prompt Prompt that was answered.
+   */
+  addXAPIAnswerDetails(xAPIEvent, prompt) {
+    const result = xAPIEvent.data.statement.result;
+    result.extensions = result.extensions || {};
+    result.extensions[XAPI_INPUT_MODE_EXTENSION] = prompt.typed ? 'typed' : 'spoken';
+    result.extensions[XAPI_INPUT_LANGUAGE_EXTENSION] = this.params.inputLanguage;
+
+    const reading = prompt.readingResult;
+    if (reading) {
+      result.extensions[XAPI_ACCURACY_EXTENSION] = reading.accuracy;
+      result.extensions[XAPI_SKIPPED_WORDS_EXTENSION] = reading.skippedWords;
+
+      const wordsPerMinute = prompt.getWordsPerMinute();
+      if (wordsPerMinute !== null) {
+        result.extensions[XAPI_WORDS_PER_MINUTE_EXTENSION] = wordsPerMinute;
+      }
+    }
+
+    // Not known for answers restored from a previous state
+    const recognition = prompt.recognition;
+    if (prompt.typed || !recognition) {
+      return;
+    }
+
+    result.extensions[XAPI_ALTERNATIVES_EXTENSION] = recognition.alternatives;
+    result.extensions[XAPI_DURATION_EXTENSION] = 'PT' + Math.round(recognition.duration * 100) / 100 + 'S';
+    if (recognition.recordingId) {
+      result.extensions[XAPI_RECORDING_EXTENSION] = recognition.recordingId;
+    }
+  }
+
   /**
    * Create an xAPI event for SpeakTheWords.
-   * @param {string} verb Short id of the verb we want to trigger.
+   * @param {string|object} verb Short id of the verb we want to trigger,
+   * or the full verb for verbs not known by H5P.
    * @param {object} wrapper H5P instance.
+   * @param {object} [definition] XAPI definition, defaults to the one of the task.
    * @return {H5P.XAPIEvent} Event template.
    */
-  createXAPIEvent(verb, wrapper = {}) {
+  createXAPIEvent(verb, wrapper = {}, definition = this.getxAPIDefinition()) {
 
     const xAPIEvent = new H5P.XAPIEvent();
 
@@ -356,24 +1531,54 @@ export default class {
 
     Util.extend(
       xAPIEvent.getVerifiedStatementValue(['object', 'definition']),
-      this.getxAPIDefinition());
+      definition);
     return xAPIEvent;
   }
 
   /**
    * Get the xAPI definition for the xAPI object.
+   * A drill is reported as a compound interaction made up of its prompts.
+   * @param {Prompt} [prompt] Prompt to get definition for, defaults to the whole task.
    * @return {object} XAPI definition.
    */
-  getxAPIDefinition() {
+  getxAPIDefinition(prompt) {
+    const language = this.getXAPILanguage();
+
+    if (!prompt && this.isDrill()) {
+      return ({
+        name: {[language]: this.getTitle()},
+        description: {[language]: Util.stripHTML(this.params.question)},
+        type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+        interactionType: 'compound'
+      });
+    }
+
+    prompt = prompt || this.prompts[0];
     return ({
-      name: {'en-US': H5P.createTitle('Speak the Words')},
-      description: {'en-US': this.params.question},
+      name: {[language]: this.getTitle()},
+      description: {[language]: Util.stripHTML(prompt.question)},
       type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
       interactionType: 'fill-in',
-      correctResponsesPattern: this.params.acceptedAnswers
+      correctResponsesPattern: prompt.acceptedAnswers
     });
   }
 
+  /**
+   * Get language of the content, used as the key of xAPI language maps.
+   * @return {string} Language code.
+   */
+  getXAPILanguage() {
+    return this.metadata.defaultLanguage || 'en-US';
+  }
+
+  /**
+   * Get title of the content.
+   * @return {string} Title.
+   */
+  getTitle() {
+    return H5P.createTitle(this.metadata.title || 'Speak the Words');
+  }
+
   /**
    * Get MIME type for recording.
    * @return {string|null} MIME type or null.
@@ -403,8 +1608,9 @@ export default class {
   /**
    * Trigger file export.
    * @param {object} data Any data to be exported.
+   * @param {Prompt} prompt Prompt the recording was made for.
    */
-  triggerFileExport(data) {
+  triggerFileExport(data, prompt) {
     // Set content id
     if (!data.contentId) {
       data.contentId = this.question.contentId;
@@ -422,8 +1628,9 @@ export default class {
       data.user = event.data.statement.actor;
     }
 
-    data.description = data.description = this.params.l10n.acceptedAnswers
-      .replace(/@answers/g, this.params.acceptedAnswers.join(', '));
+    // Describe the prompt the recording was made for, the user may have moved on
+    data.description = this.params.l10n.acceptedAnswers
+      .replace(/@answers/g, prompt.acceptedAnswers.join(', '));
 
     this.speechEventStore.trigger(
       'exportFile',
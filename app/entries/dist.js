@@ -1,6 +1,5 @@
 import SpeakTheWords from '../components/speak-the-words';
 import Util from '../components/speak-the-words-util';
-import { decode } from 'he';
 
 /**
  * Wrapper function for H5P functionality
@@ -13,9 +12,10 @@ H5P.SpeakTheWords = (function (Question) {
    *
    * @param params
    * @param contentId
+   * @param contentData
    * @constructor
    */
-  function WrapperClass(params) {
+  function WrapperClass(params, contentId, contentData = {}) {
     this.params = Util.extend({
       behaviour: {
         enableSolutionsButton: true, // Expected by question type contract
@@ -24,7 +24,7 @@ H5P.SpeakTheWords = (function (Question) {
     }, params);
 
     Question.call(this, 'speak-the-words');
-    const speakTheWords = new SpeakTheWords(params, this);
+    const speakTheWords = new SpeakTheWords(params, this, contentData.previousState, contentData.metadata);
 
     /**
      * Implements the registerDomElements interface required by H5P Question
@@ -50,10 +50,6 @@ H5P.SpeakTheWords = (function (Question) {
 
       // Also hide retry button
       speakTheWords.question.hideButton('try-again');
-
-      if (!speakTheWords.isQuestionAnswered()) {
-        this.setFeedback(decode(params.incorrectAnswerText), 0, 1);
-      }
     };
 
     /**
@@ -83,6 +79,22 @@ H5P.SpeakTheWords = (function (Question) {
       return speakTheWords.isQuestionAnswered();
     };
 
+    /**
+     * Contract for getting the current state, used for resuming the task.
+     * @see {@link https://h5p.org/documentation/developers/contracts}
+     * @return {object} Current state.
+     */
+    this.getCurrentState = () => {
+      return speakTheWords.getCurrentState();
+    };
+
+    /**
+     * Get title of the task.
+     * @return {string} Title.
+     * @see {@link https://h5p.org/documentation/developers/contracts}
+     */
+    this.getTitle = () => speakTheWords.getTitle();
+
     /**
      * Get xAPI data.
      * @return {object} XAPI statement.
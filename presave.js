@@ -9,12 +9,20 @@ var H5PPresave = H5PPresave || {};
  */
 H5PPresave['H5P.SpeakTheWords'] = function (content, finished) {
   var presave = H5PEditor.Presave;
-  var score = 1;
 
   if (isContentInvalid()) {
     throw new presave.exceptions.InvalidContentSemanticsException('Invalid Speak The Words Error');
   }
 
+  getAcceptedAnswers().concat(getWrongAnswers()).forEach(function (answer) {
+    var error = validatePattern(decodeEntities(answer));
+    if (error) {
+      throw new presave.exceptions.InvalidContentSemanticsException('Invalid answer pattern "' + decodeEntities(answer) + '": ' + error);
+    }
+  });
+
+  var score = getMaxScore();
+
   presave.validateScore(score);
 
   finished({maxScore: score});
@@ -24,6 +32,244 @@ H5PPresave['H5P.SpeakTheWords'] = function (content, finished) {
    * @return {boolean}
    */
   function isContentInvalid() {
+    if (isReadingAloud()) {
+      return typeof content.passage !== 'string' || !decodeEntities(content.passage).trim();
+    }
+    if (isDialogue()) {
+      return !getPrompts().length;
+    }
     return !presave.checkNestedRequirements(content, 'content.acceptedAnswers') || !Array.isArray(content.acceptedAnswers);
   }
+
+  /**
+   * Check if the task is reading a passage aloud rather than answering.
+   * @return {boolean}
+   */
+  function isReadingAloud() {
+    return content.mode === 'readAloud';
+  }
+
+  /**
+   * Check if the task is a dialogue of scripted turns.
+   * @return {boolean}
+   */
+  function isDialogue() {
+    return content.mode === 'dialogue';
+  }
+
+  /**
+   * Check if a prompt or turn has accepted answers.
+   * @param {object} prompt
+   * @return {boolean}
+   */
+  function hasAnswers(prompt) {
+    return Array.isArray(prompt.acceptedAnswers) && prompt.acceptedAnswers.length > 0;
+  }
+
+  /**
+   * Get prompts that have accepted answers, none when reading aloud.
+   * In a dialogue, the prompts are its turns.
+   * @return {object[]}
+   */
+  function getPrompts() {
+    if (isReadingAloud()) {
+      return [];
+    }
+    if (isDialogue()) {
+      return (content.turns || []).filter(hasAnswers);
+    }
+    return [content].concat((content.prompts || []).filter(hasAnswers));
+  }
+
+  /**
+   * Get accepted answers of all prompts.
+   * @return {string[]}
+   */
+  function getAcceptedAnswers() {
+    return getPrompts().reduce(function (answers, prompt) {
+      return answers.concat(prompt.acceptedAnswers.filter(function (answer) {
+        return typeof answer === 'string';
+      }));
+    }, []);
+  }
+
+  /**
+   * Get common wrong answers of all prompts, which are patterns too.
+   * @return {string[]}
+   */
+  function getWrongAnswers() {
+    return getPrompts().reduce(function (answers, prompt) {
+      return answers.concat((prompt.wrongAnswers || []).map(function (wrongAnswer) {
+        return wrongAnswer.answer;
+      }).filter(function (answer) {
+        return typeof answer === 'string';
+      }));
+    }, []);
+  }
+
+  /**
+   * Get maximum score of all prompts, must match the one computed
+   * by the content type.
+   * @return {number}
+   */
+  function getMaxScore() {
+    if (isReadingAloud()) {
+      return getPassageMaxScore(decodeEntities(content.passage));
+    }
+    return getPrompts().reduce(function (score, prompt) {
+      return score + getPromptMaxScore(prompt.acceptedAnswers);
+    }, 0);
+  }
+
+  /**
+   * Get maximum score of a single prompt for the scoring mode.
+   * @param {string[]} acceptedAnswers
+   * @return {number}
+   */
+  function getPromptMaxScore(acceptedAnswers) {
+    var scoring = content.behaviour && content.behaviour.scoring;
+
+    if (scoring === 'percentage') {
+      return 100;
+    }
+
+    if (scoring === 'words') {
+      return acceptedAnswers.reduce(function (max, answer) {
+        return Math.max(max, countWords(getExample(decodeEntities(answer))));
+      }, 1);
+    }
+
+    return 1;
+  }
+
+  /**
+   * Get maximum score of a passage read aloud for the scoring mode.
+   * @param {string} passage
+   * @return {number}
+   */
+  function getPassageMaxScore(passage) {
+    var scoring = content.behaviour && content.behaviour.scoring;
+    if (scoring === 'percentage') {
+      return 100;
+    }
+    if (scoring === 'words') {
+      return Math.max(1, countWords(passage));
+    }
+    return 1;
+  }
+
+  /**
+   * Count words in an accepted answer, leaving out anything that is only
+   * punctuation.
+   * @param {string} answer
+   * @return {number}
+   */
+  function countWords(answer) {
+    return answer
+      .replace(/['‘’]/g, '')
+      .split(/\s+/)
+      .filter(function (word) {
+        return word.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()\[\]"?¿¡«»“”„…'‘’]/g, '') !== '';
+      }).length;
+  }
+
+  /**
+   * Decode the HTML entities the editor stores text fields with.
+   * @param {string} text
+   * @return {string}
+   */
+  function decodeEntities(text) {
+    return (text || '').replace(/&(#x[0-9a-f]+|#\d+|apos|quot|lt|gt|amp);/gi, function (entity, name) {
+      var named = {apos: '\'', quot: '"', lt: '<', gt: '>', amp: '&'};
+      if (name[0] !== '#') {
+        return named[name.toLowerCase()];
+      }
+      return String.fromCharCode(name[1].toLowerCase() === 'x' ? parseInt(name.substr(2), 16) : parseInt(name.substr(1), 10));
+    });
+  }
+
+  /**
+   * Check an accepted answer written as a pattern, following the same
+   * rules as AnswerPattern in the content type.
+   * @param {string} answer
+   * @return {string|null} Description of the first mistake, if any
+   */
+  function validatePattern(answer) {
+    var group = null;
+    var parts = [];
+    var part = '';
+    var required = false;
+    var error = null;
+    var hasWords = function (text) {
+      return /[^\s.,\/!$%\^&;:{}=\-_`~"?¿¡«»“”„…]/.test(text);
+    };
+    var fail = function (message) {
+      error = error || message;
+    };
+
+    for (var i = 0; i < answer.length; i++) {
+      var char = answer[i];
+      if (char === '(' || char === '[') {
+        if (group) {
+          fail('groups can not be nested');
+          continue;
+        }
+        required = required || hasWords(part);
+        group = char;
+        parts = [];
+        part = '';
+      }
+      else if (char === ')' || char === ']') {
+        if (!group) {
+          fail('"' + char + '" has no opening bracket');
+          continue;
+        }
+        if ((group === '(') !== (char === ')')) {
+          fail('"' + group + '" is not closed');
+        }
+        parts.push(part);
+        if (!parts.every(hasWords)) {
+          fail('groups can not be empty');
+        }
+        required = required || group === '[';
+        group = null;
+        part = '';
+      }
+      else if (char === '|') {
+        if (group !== '[') {
+          fail('alternatives must be written inside [ ]');
+          continue;
+        }
+        parts.push(part);
+        part = '';
+      }
+      else {
+        part += char;
+      }
+    }
+
+    if (group) {
+      fail('"' + group + '" is not closed');
+    }
+    else if (!required && !hasWords(part)) {
+      fail('some words must be required');
+    }
+
+    return error;
+  }
+
+  /**
+   * Get an example of an answer matching a pattern, with the first of
+   * each group of alternatives and the optional words.
+   * @param {string} answer
+   * @return {string}
+   */
+  function getExample(answer) {
+    if (validatePattern(answer)) {
+      return answer;
+    }
+    return answer
+      .replace(/\[([^|\]]*)[^\]]*\]/g, '$1')
+      .replace(/[()]/g, '');
+  }
 };
@@ -22,6 +22,37 @@ H5PUpgrades['H5P.SpeakTheWords'] = (function () {
           }
         }
         finished(null, parameters);
+      },
+
+      /**
+       * Turns the task description into formatted text, keeping plain
+       * descriptions as they were shown
+       *
+       * @param parameters
+       * @param finished
+       */
+      5: function (parameters, finished) {
+        var toHTML = function (text) {
+          // Text is stored with its special characters encoded, but be safe
+          var html = text
+            .replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+          return '<p>' + html + '</p>';
+        };
+
+        if (parameters.question) {
+          parameters.question = toHTML(parameters.question);
+        }
+
+        if (parameters.prompts) {
+          parameters.prompts.forEach(function (prompt) {
+            if (prompt.question) {
+              prompt.question = toHTML(prompt.question);
+            }
+          });
+        }
+        finished(null, parameters);
       }
     }
   }